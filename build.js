@@ -3,16 +3,63 @@
  * Feeltracker Static Site Builder
  *
  * Reads data/ files + HTML templates → generates all static HTML pages.
- * No dependencies — uses only Node.js built-in modules.
+ * No dependencies — uses only Node.js built-in modules (and image-tools.js,
+ * make-favicon.js).
  *
- * Usage: node build.js
+ * Usage: node build.js [--full] [--strict] [--watch] [--serve] [--port=8080]
+ *
+ * Builds are incremental: every output page records the files it was rendered
+ * from (template, partials, EN base, overlay, languages.json, site.json) in
+ * .build-manifest.json, and the next run only re-renders pages whose inputs
+ * changed. --full ignores the manifest and rebuilds everything.
+ *
+ * Templates, layouts and partials are compiled once per run. Syntax errors,
+ * unknown partials and layout problems are reported as file:line:column and
+ * fail the build before any page is written. Literal text in them (which no
+ * locale can translate) is reported with file:line as a warning.
+ *
+ * --strict records every {{substitution}} that comes out undefined (a typo in
+ * a path, a field an overlay dropped), reports them per locale and fails the
+ * build. It always renders every page. Optional fields belong inside an
+ * {{#if}}, whose condition is allowed to be undefined.
+ *
+ * The JSON-LD blocks of every rendered page are checked against the required
+ * and recommended properties of the schema.org types the site uses, and
+ * problems are reported per locale, along with BreadcrumbList names that
+ * differ from the page's visible breadcrumb. Errors fail --strict builds.
+ *
+ * --watch rebuilds whenever something under data/ or templates/ changes.
+ * --serve does the same and also serves the repo root on http://localhost:8080
+ * (or --port), so root-relative links like /shared.css resolve, and reloads
+ * open pages whose output was rebuilt.
+ *
+ * Every build also writes sitemap.xml, an index of per-locale sitemaps in
+ * sitemaps/{lang}.xml, with the hreflang alternates each page renders, and
+ * llms.txt / ai-info.json from templates/llms.txt and data/ai-info.json
+ * plus the app pages, guides and languages.json. Smaller widths of the app
+ * icons and screenshots go to images/srcset/ for {{srcset}} in templates.
+ * PNGs in images/ over 512 KB are re-encoded in their smallest colour type
+ * where that makes them smaller, and any image over the 1.5 MB budget fails
+ * the build. The favicon, touch-icon and site.webmanifest set is regenerated
+ * from the app icon when it changes and linked from head-assets.html.
  *
  * Data layout: each page is a separate JSON file in data/{lang}/
  *   e.g., data/en/blood-pressure.app.json, data/de/index.json
+ * EN guides can also be written as markdown with front matter in
+ * data/en/guides/{name}.md, which stands in for data/en/{name}.guide.json.
+ *
+ * App page screenshots are per locale by convention: a page in "de" shows
+ * images/screenshots/de/bpt-1.png in place of images/screenshots/bpt-1.png
+ * when it exists, and the build reports the locales still showing EN ones.
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const { execFileSync } = require('child_process');
+const imageTools = require('./image-tools');
+const faviconSet = require('./make-favicon');
 
 // ============================================================
 // Template Engine
@@ -45,737 +92,3520 @@ function getImageDimensions(localPath) {
     return null;
 }
 
-const imageDimCache = {};
+/**
+ * Map an og:image URL to its repo-relative path, or null when it points
+ * off-site.
+ */
+function ogImageRelPath(ogImage, siteUrl) {
+    if (!ogImage) return null;
+    if (siteUrl && ogImage.startsWith(siteUrl + '/')) return ogImage.slice(siteUrl.length + 1);
+    if (ogImage.startsWith('/')) return ogImage.slice(1);
+    return null;
+}
+
+let imageDimCache = {};
 function resolveOgImageDims(ogImage, siteUrl) {
     if (!ogImage) return null;
     if (imageDimCache[ogImage] !== undefined) return imageDimCache[ogImage];
-    let localPath = null;
-    if (siteUrl && ogImage.startsWith(siteUrl + '/')) {
-        localPath = path.join(ROOT, ogImage.slice(siteUrl.length + 1));
-    } else if (ogImage.startsWith('/')) {
-        localPath = path.join(ROOT, ogImage.slice(1));
-    }
-    const dims = localPath ? getImageDimensions(localPath) : null;
+    const relPath = ogImageRelPath(ogImage, siteUrl);
+    const dims = relPath ? getImageDimensions(path.join(ROOT, relPath)) : null;
     imageDimCache[ogImage] = dims;
     return dims;
 }
 
+// ------------------------------------------------------------
+// Markdown
+//
+// A small CommonMark-style renderer behind the md / mdi helpers, so guide
+// authors and translators can write markdown instead of balancing tags.
+//   Blocks:  paragraphs, # … ###### headings, - * + and 1. 1) lists (nested
+//            by indentation, loose when items are separated by blank lines),
+//            > blockquotes, ``` fenced code, --- rules, GFM | tables |,
+//            [^note]: footnotes, and block-level HTML passed through as-is.
+//   Inline:  **strong**, *em*, ***both***, __strong__, _em_, ~~strike~~, `code`,
+//            [text](url "title"), ![alt](src "title"), <https://autolinks>,
+//            [^note] references, backslash escapes and inline HTML.
+// Unlike CommonMark, a single newline inside a paragraph is a line break,
+// which existing content relies on; two trailing spaces or a trailing "\"
+// also give one. Text is otherwise passed through, so entities and inline
+// HTML keep working; only a "<" that doesn't start a tag is escaped.
+// ------------------------------------------------------------
+
 /**
  * Strip markdown to plain text (for JSON-LD schema where HTML isn't allowed).
  */
 function stripMarkdown(md) {
     if (!md || typeof md !== 'string') return md || '';
     return md
-        .replace(/\*\*(.+?)\*\*/g, '$1')
+        .replace(/!\[([^\]]*)\]\([^)]+\)/g, '$1')
+        .replace(/\[\^[^\]\s]+\]/g, '')
         .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+        .replace(/(\*\*|__|~~)(?=\S)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?=\S)(.+?)\*(?![\w*])/g, '$1$2')
+        .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1$2')
+        .replace(/`+([^`]+)`+/g, '$1')
         .replace(/\n+/g, ' ')
         .trim();
 }
 
+const MD_ESCAPABLE_RE = /\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g;
+const MD_INLINE_HTML_RE = /<\/?[a-zA-Z][a-zA-Z0-9-]*(?:\s[^<>]*)?\/?>|<!--[\s\S]*?-->/g;
+const MD_WORD_CHAR_RE = /[\p{L}\p{N}_]/u;
+
+// Escape for element content where the text must show literally (code)
+function escapeCode(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Link / image destination: "<url with spaces>" or a bare url
+function markdownUrl(raw) {
+    return raw.startsWith('<') && raw.endsWith('>') ? raw.slice(1, -1) : raw;
+}
+
 /**
- * Convert inline markdown to HTML (no paragraph wrapping).
- * Supports: **bold**, [text](url)
- * Links get target="_blank" rel="noopener" automatically.
+ * Resolve a markdown link target against the page's locale. Links into the
+ * site (root-relative, or absolute on site.url) are internal: they are
+ * rewritten through the page's language prefix when the target page exists
+ * in that locale, and otherwise keep pointing at the EN page. Paths that
+ * already carry a locale prefix, or aren't pages (e.g. /images/…), are left
+ * as they are. Returns { url, external }.
  */
-function markdownInline(md) {
-    if (!md || typeof md !== 'string') return md || '';
-    let text = md;
-    text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    text = text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-    // Single newlines → <br>
-    text = text.replace(/\n/g, '<br>');
-    return text;
+function resolveMarkdownLink(url, links) {
+    let origin = '';
+    let rest = url;
+    if (links && (url === links.siteUrl || url.startsWith(links.siteUrl + '/'))) {
+        origin = links.siteUrl;
+        rest = url.slice(origin.length) || '/';
+    } else if (/^(?:[a-z][a-z0-9+.-]*:)?\/\//i.test(url)) {
+        return { url, external: true };
+    }
+    if (!links || !links.prefix || !rest.startsWith('/')) return { url, external: false };
+
+    const [, pathname, suffix] = /^([^?#]*)(.*)$/.exec(rest);
+    const pagePath = pathname.replace(/^\/+|\/+$/g, '');
+    const available = links.pageAvailability[pagePath];
+    if (!available || !available.has(links.lang)) return { url, external: false };
+    return { url: origin + links.prefix + pathname + suffix, external: false };
 }
 
 /**
- * Convert block markdown to HTML (with paragraph wrapping).
- * Supports: **bold**, [text](url), paragraphs (double newline), ## headings
+ * An <a> for a markdown link or autolink. labelHtml is already rendered.
+ * External links open in a new tab.
  */
-function markdownToHtml(md) {
-    if (!md || typeof md !== 'string') return md || '';
-    const paragraphs = md.split(/\n{2,}/);
-    return paragraphs.map(p => {
-        p = p.trim();
-        if (!p) return '';
-        if (p.startsWith('### ')) return '<h3>' + markdownInline(p.slice(4)) + '</h3>';
-        if (p.startsWith('## ')) return '<h2>' + markdownInline(p.slice(3)) + '</h2>';
-        return '<p>' + markdownInline(p) + '</p>';
-    }).filter(Boolean).join('\n');
+function markdownLink(url, labelHtml, title, links) {
+    const target = resolveMarkdownLink(url, links);
+    assertSafeUrl(target.url, 'href', 'markdown link');
+    const titleAttr = title ? ' title="' + escapeAttr(title, '"') + '"' : '';
+    return '<a href="' + target.url.replace(/"/g, '%22') + '"' + titleAttr +
+        (target.external ? ' target="_blank" rel="noopener"' : '') + '>' + labelHtml + '</a>';
+}
+
+function markdownImage(src, alt, title) {
+    assertSafeUrl(src, 'src', 'markdown image');
+    const dims = src.startsWith('/') ? resolveOgImageDims(src.split(/[?#]/)[0]) : null;
+    return '<img src="' + src.replace(/"/g, '%22') + '" alt="' + escapeAttr(stripMarkdown(alt), '"') + '"' +
+        (title ? ' title="' + escapeAttr(title, '"') + '"' : '') +
+        (dims ? ` width="${dims.width}" height="${dims.height}"` : '') +
+        ' loading="lazy" decoding="async">';
 }
 
 /**
- * Resolve a dot-notation path against an object.
- * e.g. resolve(ctx, "meta.title") → ctx.meta.title
+ * Emphasis pass: wrap runs delimited by marker in tag ("em strong" nests
+ * both). As in CommonMark, "_" only counts at word boundaries, so snake_case
+ * is left alone.
  */
-function resolve(obj, keyPath) {
-    if (!keyPath || obj == null) return undefined;
-    return keyPath.split('.').reduce((o, k) => (o != null) ? o[k] : undefined, obj);
+function markdownEmphasis(text, marker, tag) {
+    const open = tag.split(' ').map(name => `<${name}>`).join('');
+    const close = tag.split(' ').reverse().map(name => `</${name}>`).join('');
+    const m = marker.replace(/[*]/g, '\\*');
+    const re = new RegExp(`${m}(?=[^\\s${marker[0] === '*' ? '*' : ''}])([\\s\\S]*?[^\\s\\\\])${m}`, 'g');
+    return text.replace(re, (match, content, offset) => {
+        const before = text[offset - 1] || '';
+        const after = text[offset + match.length] || '';
+        if (marker[0] === '_' && (MD_WORD_CHAR_RE.test(before) || MD_WORD_CHAR_RE.test(after))) return match;
+        if (before === marker[0] || after === marker[0]) return match;
+        return open + content + close;
+    });
 }
 
-function isTruthy(value) {
-    if (Array.isArray(value)) return value.length > 0;
-    return !!value;
+/**
+ * Render inline markdown. env.links is the page's link locale (see
+ * resolveMarkdownLink); env.footnotes, from the surrounding markdownToHtml()
+ * call, is missing for mdi, where footnote references stay literal.
+ */
+function renderInline(md, env) {
+    const stash = [];
+    const hold = html => '\u0000' + (stash.push(html) - 1) + '\u0000';
+    let text = md.replace(/\u0000/g, '');
+
+    // Code spans first: nothing inside them is markdown
+    text = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) =>
+        hold('<code>' + escapeCode(code.replace(/\n/g, ' ').replace(/^ ([\s\S]*) $/, '$1')) + '</code>'));
+
+    // Hard breaks; the newline itself becomes <br> at the end
+    text = text.replace(/(?: {2,}|\\)\n/g, '\n');
+    text = text.replace(MD_ESCAPABLE_RE, (_, ch) => hold(ch === '<' ? '&lt;' : ch === '&' ? '&amp;' : ch));
+
+    text = text.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/g, (_, url) =>
+        hold(markdownLink(url, url.replace(/^mailto:/, ''), null, env.links)));
+    text = text.replace(MD_INLINE_HTML_RE, tag => hold(tag));
+
+    text = text.replace(/!\[([^\]]*)\]\(\s*(<[^>]*>|[^\s)]+)(?:\s+"([^"]*)")?\s*\)/g, (_, alt, src, title) =>
+        hold(markdownImage(markdownUrl(src), alt, title)));
+    text = text.replace(/\[\^([^\]\s]+)\]/g, (match, label) => {
+        if (!env.footnotes || !env.footnotes.has(label)) return match;
+        if (!env.order.includes(label)) env.order.push(label);
+        const number = env.order.indexOf(label) + 1;
+        const id = env.idPrefix + markdownFootnoteId(label);
+        const firstRef = !env.referenced.has(label);
+        env.referenced.add(label);
+        return hold(`<sup class="footnote-ref"><a href="#fn-${id}"${firstRef ? ` id="fnref-${id}"` : ''}>${number}</a></sup>`);
+    });
+    text = text.replace(/\[((?:[^\[\]]|\[[^\]]*\])+)\]\(\s*(<[^>]*>|[^\s)]+)(?:\s+"([^"]*)")?\s*\)/g, (_, label, url, title) =>
+        hold(markdownLink(markdownUrl(url), renderInline(label, env), title, env.links)));
+
+    text = text.replace(/</g, '&lt;');
+    text = markdownEmphasis(text, '***', 'em strong');
+    text = markdownEmphasis(text, '___', 'em strong');
+    text = markdownEmphasis(text, '**', 'strong');
+    text = markdownEmphasis(text, '__', 'strong');
+    text = markdownEmphasis(text, '*', 'em');
+    text = markdownEmphasis(text, '_', 'em');
+    text = markdownEmphasis(text, '~~', 'del');
+    text = text.replace(/\n/g, '<br>');
+
+    // Restore held pieces; link labels were rendered on their own already
+    return text.replace(/\u0000(\d+)\u0000/g, (_, i) => stash[i]);
+}
+
+function markdownFootnoteId(label) {
+    return label.toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-');
 }
 
 /**
- * Find the matching closing tag for a block, handling nesting.
- * Returns { content, end } where end is the position after the closing tag.
+ * Convert inline markdown to HTML (no paragraph wrapping). links is the
+ * page's link locale, from the context's linkLocale.
  */
-function findClosingTag(template, startPos, tagName) {
-    let depth = 1;
-    let pos = startPos;
-    const openPattern = '{{#' + tagName;
-    const closeTag = '{{/' + tagName + '}}';
+function markdownInline(md, links) {
+    if (!md || typeof md !== 'string') return md || '';
+    return renderInline(md, { links });
+}
 
-    while (depth > 0 && pos < template.length) {
-        const nextOpen = template.indexOf(openPattern, pos);
-        const nextClose = template.indexOf(closeTag, pos);
+const MD_FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^\s`]*)/;
+const MD_HEADING_RE = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MD_RULE_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MD_QUOTE_RE = /^ {0,3}> ?/;
+const MD_LIST_ITEM_RE = /^( {0,3})([-*+]|(\d{1,9})[.)])(?:([ \t]+)|$)/;
+const MD_TABLE_DELIM_RE = /^ {0,3}\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const MD_HTML_BLOCK_RE = /^ {0,3}(?:<!--|<\/?(?:address|article|aside|blockquote|details|dialog|div|dl|dt|dd|fieldset|figcaption|figure|footer|form|h[1-6]|header|hr|li|main|nav|ol|p|picture|pre|section|summary|table|tbody|td|tfoot|th|thead|tr|ul|video|audio|iframe)(?=[\s>/]|$))/i;
+const MD_FOOTNOTE_DEF_RE = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+
+// Cells of a table row, without the outer pipes; "\|" is a literal pipe
+function markdownTableCells(line) {
+    return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '')
+        .split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
 
-        if (nextClose === -1) {
-            throw new Error(`Missing closing ${closeTag} (started at pos ${startPos})`);
-        }
+function isMarkdownTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') &&
+        MD_TABLE_DELIM_RE.test(lines[i + 1]) &&
+        markdownTableCells(lines[i]).length === markdownTableCells(lines[i + 1]).length;
+}
 
-        if (nextOpen !== -1 && nextOpen < nextClose) {
-            depth++;
-            pos = nextOpen + openPattern.length;
-        } else {
-            depth--;
-            if (depth === 0) {
-                return {
-                    content: template.slice(startPos, nextClose),
-                    end: nextClose + closeTag.length
-                };
-            }
-            pos = nextClose + closeTag.length;
-        }
-    }
-    throw new Error(`Missing closing ${closeTag}`);
+// Whether line starts a block that ends the paragraph before it
+function interruptsParagraph(lines, i) {
+    const line = lines[i];
+    const item = MD_LIST_ITEM_RE.exec(line);
+    return MD_FENCE_RE.test(line) || MD_HEADING_RE.test(line) || MD_RULE_RE.test(line) ||
+        MD_QUOTE_RE.test(line) || MD_HTML_BLOCK_RE.test(line) || isMarkdownTableStart(lines, i) ||
+        (item && item[4] !== undefined && (!item[3] || item[3] === '1'));
 }
 
 /**
- * Find the matching {{/if}} for an {{#if}}, with optional {{else}}.
- * Handles nested {{#if}} blocks correctly.
+ * Render a list of lines as blocks. In a tight list item, paragraphs are
+ * emitted without their <p>.
  */
-function findIfBlock(template, startPos) {
-    let depth = 1;
-    let pos = startPos;
-    let elsePos = -1;
-
-    while (pos < template.length) {
-        const nextIf = template.indexOf('{{#if ', pos);
-        const nextElse = template.indexOf('{{else}}', pos);
-        const nextEndif = template.indexOf('{{/if}}', pos);
+function renderBlocks(lines, env, tight) {
+    const out = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
 
-        const candidates = [];
-        if (nextIf !== -1) candidates.push({ type: 'if', pos: nextIf });
-        if (nextElse !== -1) candidates.push({ type: 'else', pos: nextElse });
-        if (nextEndif !== -1) candidates.push({ type: 'endif', pos: nextEndif });
-        candidates.sort((a, b) => a.pos - b.pos);
+        const fence = MD_FENCE_RE.exec(line);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            const lang = fence[2] ? ` class="language-${escapeAttr(fence[2], '"')}"` : '';
+            out.push(`<pre><code${lang}>${escapeCode(code.join('\n'))}</code></pre>`);
+            continue;
+        }
 
-        if (candidates.length === 0) {
-            throw new Error('Missing {{/if}}');
+        const heading = MD_HEADING_RE.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            out.push(`<h${level}>${renderInline(heading[2] || '', env)}</h${level}>`);
+            i++;
+            continue;
         }
 
-        const next = candidates[0];
+        if (MD_RULE_RE.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
 
-        if (next.type === 'if') {
-            depth++;
-            pos = next.pos + 6; // skip past '{{#if '
-        } else if (next.type === 'else' && depth === 1) {
-            elsePos = next.pos;
-            pos = next.pos + 8; // skip past '{{else}}'
-        } else if (next.type === 'else') {
-            pos = next.pos + 8;
-        } else { // endif
-            depth--;
-            if (depth === 0) {
-                const endPos = next.pos + 7; // skip past '{{/if}}'
-                if (elsePos !== -1) {
-                    return {
-                        ifContent: template.slice(startPos, elsePos),
-                        elseContent: template.slice(elsePos + 8, next.pos),
-                        end: endPos
-                    };
-                }
-                return {
-                    ifContent: template.slice(startPos, next.pos),
-                    elseContent: null,
-                    end: endPos
-                };
+        if (MD_QUOTE_RE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && MD_QUOTE_RE.test(lines[i])) {
+                quoted.push(lines[i++].replace(MD_QUOTE_RE, ''));
             }
-            pos = next.pos + 7;
+            out.push('<blockquote>\n' + renderBlocks(quoted, env, false) + '\n</blockquote>');
+            continue;
         }
-    }
-    throw new Error('Missing {{/if}}');
-}
 
-/**
- * Render a template string with the given data context.
- *
- * Supported syntax:
- *   {{variable}}          - insert value (dot notation: {{a.b.c}})
- *   {{#each array}}       - loop over array; item props available directly
- *   {{/each}}
- *   {{#if variable}}      - conditional block
- *   {{else}}              - optional else branch
- *   {{/if}}
- *   {{> partialName}}     - include a partial template
- *   {{json variable}}     - output JSON.stringify'd value
- *   {{@ variable}}        - raw output (same as {{}}, kept for clarity)
- */
-function render(template, data, partials) {
-    partials = partials || {};
-    let pos = 0;
-    let output = '';
+        if (MD_LIST_ITEM_RE.test(line) && MD_LIST_ITEM_RE.exec(line)[4] !== undefined) {
+            const { html, next } = renderList(lines, i, env);
+            out.push(html);
+            i = next;
+            continue;
+        }
 
-    while (pos < template.length) {
-        const tagStart = template.indexOf('{{', pos);
-        if (tagStart === -1) {
-            output += template.slice(pos);
-            break;
+        if (isMarkdownTableStart(lines, i)) {
+            const aligns = markdownTableCells(lines[i + 1]).map(cell =>
+                cell.startsWith(':') && cell.endsWith(':') ? 'center'
+                    : cell.endsWith(':') ? 'right'
+                        : cell.startsWith(':') ? 'left' : '');
+            const cellHtml = (tag, cells) => '<tr>' + aligns.map((align, c) =>
+                `<${tag}${align ? ` style="text-align: ${align}"` : ''}>${renderInline(cells[c] || '', env)}</${tag}>`).join('') + '</tr>';
+            const head = cellHtml('th', markdownTableCells(lines[i]));
+            const rows = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                rows.push(cellHtml('td', markdownTableCells(lines[i++])));
+            }
+            out.push('<div class="guide-table-wrap"><table class="guide-table"><thead>' + head +
+                '</thead>' + (rows.length ? '<tbody>' + rows.join('') + '</tbody>' : '') + '</table></div>');
+            continue;
         }
 
-        // Add text before the tag
-        output += template.slice(pos, tagStart);
+        if (MD_HTML_BLOCK_RE.test(line)) {
+            const block = [];
+            while (i < lines.length && lines[i].trim()) block.push(lines[i++]);
+            out.push(block.join('\n'));
+            continue;
+        }
 
-        const tagEnd = template.indexOf('}}', tagStart);
-        if (tagEnd === -1) {
-            output += template.slice(tagStart);
-            break;
+        // Paragraph: runs to a blank line or the start of another block
+        const para = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !interruptsParagraph(lines, i)) {
+            para.push(lines[i++].trim());
         }
+        const inline = renderInline(para.join('\n'), env);
+        out.push(tight ? inline : '<p>' + inline + '</p>');
+    }
+    return out.join('\n');
+}
 
-        const tag = template.slice(tagStart + 2, tagEnd).trim();
-        const afterTag = tagEnd + 2;
-
-        if (tag.startsWith('#each ')) {
-            // {{#each arrayPath}} ... {{/each}}
-            const varName = tag.slice(6).trim();
-            const { content, end } = findClosingTag(template, afterTag, 'each');
-            const arr = resolve(data, varName);
-            if (Array.isArray(arr)) {
-                for (let i = 0; i < arr.length; i++) {
-                    const item = arr[i];
-                    const itemCtx = (typeof item === 'object' && item !== null)
-                        ? { ...data, ...item, _parent: data, _index: i, _first: i === 0, _last: i === arr.length - 1 }
-                        : { ...data, _value: item, _parent: data, _index: i, _first: i === 0, _last: i === arr.length - 1 };
-                    output += render(content, itemCtx, partials);
-                }
-            }
-            pos = end;
-
-        } else if (tag.startsWith('#if ')) {
-            // {{#if varPath}} ... {{else}} ... {{/if}}
-            const varName = tag.slice(4).trim();
-            const block = findIfBlock(template, afterTag);
-            const value = resolve(data, varName);
-            if (isTruthy(value)) {
-                output += render(block.ifContent, data, partials);
-            } else if (block.elseContent) {
-                output += render(block.elseContent, data, partials);
+/**
+ * Render the list starting at lines[start]. Returns { html, next } where
+ * next is the first line after the list.
+ */
+function renderList(lines, start, env) {
+    const first = MD_LIST_ITEM_RE.exec(lines[start]);
+    const ordered = first[3] !== undefined;
+    // Items of one list share the bullet character or the 1. / 1) delimiter
+    const kind = ordered ? first[2].slice(-1) : first[2];
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const item = MD_LIST_ITEM_RE.exec(lines[i]);
+        if (!item || item[4] === undefined || (ordered ? item[2].slice(-1) : item[2]) !== kind || item[3] === undefined === ordered) break;
+        const indent = item[1].length + item[2].length + Math.min(item[4].length, 4);
+        const itemLines = [lines[i].slice(item[0].length)];
+        i++;
+        let sawBlank = false;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                sawBlank = true;
+                itemLines.push('');
+                i++;
+                continue;
             }
-            pos = block.end;
-
-        } else if (tag.startsWith('> ')) {
-            // {{> partialName}} - include partial
-            const partialName = tag.slice(2).trim();
-            const partial = partials[partialName];
-            if (partial) {
-                output += render(partial, data, partials);
+            const leading = line.length - line.trimStart().length;
+            if (leading >= indent) {
+                if (sawBlank) loose = true;
+                itemLines.push(line.slice(indent));
+                sawBlank = false;
+                i++;
+            } else if (!sawBlank && !MD_LIST_ITEM_RE.test(line) && !interruptsParagraph(lines, i)) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+                i++;
             } else {
-                console.warn(`  Warning: partial "${partialName}" not found`);
+                break;
             }
-            pos = afterTag;
-
-        } else if (tag.startsWith('md ')) {
-            // {{md varPath}} - render block markdown to HTML (with <p> wrapping)
-            const varName = tag.slice(3).trim();
-            const value = resolve(data, varName);
-            output += markdownToHtml(value != null ? String(value) : '');
-            pos = afterTag;
-
-        } else if (tag.startsWith('mdi ')) {
-            // {{mdi varPath}} - render inline markdown to HTML (no <p> wrapping)
-            const varName = tag.slice(4).trim();
-            const value = resolve(data, varName);
-            output += markdownInline(value != null ? String(value) : '');
-            pos = afterTag;
-
-        } else if (tag.startsWith('json ')) {
-            // {{json varPath}} - output as formatted JSON
-            const varName = tag.slice(5).trim();
-            const value = resolve(data, varName);
-            if (value !== undefined) {
-                output += JSON.stringify(value, null, 6);
-            }
-            pos = afterTag;
+        }
+        // A blank line before the next item makes the whole list loose
+        while (itemLines.length && !itemLines[itemLines.length - 1].trim()) itemLines.pop();
+        if (sawBlank && i < lines.length) {
+            const next = MD_LIST_ITEM_RE.exec(lines[i]);
+            if (next && next[4] !== undefined && (ordered ? next[2].slice(-1) : next[2]) === kind) loose = true;
+        }
+        items.push(itemLines);
+    }
 
-        } else {
-            // {{varPath}} - simple variable substitution
-            const value = resolve(data, tag);
-            output += (value != null) ? String(value) : '';
-            pos = afterTag;
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[3], 10) : 1;
+    const open = ordered && startNumber !== 1 ? `<ol start="${startNumber}">` : `<${tag}>`;
+    const body = items.map(itemLines => '<li>' + renderBlocks(itemLines, env, !loose) + '</li>');
+    return { html: open + '\n' + body.join('\n') + '\n</' + tag + '>', next: i };
+}
+
+/**
+ * Convert block markdown to HTML (with paragraph wrapping). links as for
+ * markdownInline(). Footnote ids start with idPrefix, when given, so several
+ * fields rendered onto one page don't share fn-1.
+ */
+function markdownToHtml(md, links, idPrefix) {
+    if (!md || typeof md !== 'string') return md || '';
+    const env = { links, footnotes: new Map(), order: [], referenced: new Set(), idPrefix: idPrefix ? idPrefix + '-' : '' };
+
+    // Pull out footnote definitions (with their indented continuation lines)
+    const lines = [];
+    const source = md.replace(/\r\n?/g, '\n').split('\n');
+    for (let i = 0; i < source.length; i++) {
+        const def = MD_FOOTNOTE_DEF_RE.exec(source[i]);
+        if (!def) {
+            lines.push(source[i]);
+            continue;
         }
+        const content = [def[2]];
+        while (i + 1 < source.length && /^(?: {2,}|\t)\S/.test(source[i + 1])) content.push(source[++i].trim());
+        env.footnotes.set(def[1], content.join('\n'));
     }
 
-    return output;
+    let html = renderBlocks(lines, env, false);
+    if (env.order.length) {
+        // Footnotes can reference further footnotes, so env.order may grow
+        const notes = [];
+        for (let n = 0; n < env.order.length; n++) {
+            const label = env.order[n];
+            const id = env.idPrefix + markdownFootnoteId(label);
+            notes.push(`<li id="fn-${id}">${renderInline(env.footnotes.get(label), env)} ` +
+                `<a href="#fnref-${id}" class="footnote-backref">↩</a></li>`);
+        }
+        html += '\n<section class="footnotes">\n<ol>\n' + notes.join('\n') + '\n</ol>\n</section>';
+    }
+    return html;
 }
 
-// ============================================================
-// Build Logic
-// ============================================================
+// ------------------------------------------------------------
+// Escaping
+// ------------------------------------------------------------
 
-const RELATED_APPS_TITLE = {
-    en: 'Explore our other apps',
-    de: 'Entdecken Sie unsere anderen Apps',
-    es: 'Descubre nuestras otras aplicaciones',
-    fr: 'Découvrez nos autres applications',
-    'fr-ca': 'Découvrez nos autres applications',
-    it: 'Scopri le nostre altre app',
-    ru: 'Откройте для себя другие наши приложения',
-    ja: '他のアプリもチェック',
-    ko: '다른 앱 둘러보기',
-    'pt-br': 'Conheça nossos outros aplicativos',
-    pt: 'Conheça as nossas outras aplicações',
-    'zh-Hans': '探索我们的其他应用',
-    'zh-Hant': '探索我們的其他應用程式',
-    sv: 'Utforska våra andra appar',
-    nb: 'Utforsk våre andre apper',
-    da: 'Udforsk vores andre apps',
-    fi: 'Tutustu muihin sovelluksiimme',
-    nl: 'Ontdek onze andere apps',
-    pl: 'Odkryj nasze inne aplikacje',
-    cs: 'Prozkoumejte naše další aplikace',
-    sk: 'Preskúmajte naše ďalšie aplikácie',
-    ro: 'Descoperă celelalte aplicații ale noastre',
-    hr: 'Istražite naše druge aplikacije',
-    hu: 'Fedezze fel többi alkalmazásunkat',
-    uk: 'Відкрийте для себе наші інші додатки',
-    ar: 'استكشف تطبيقاتنا الأخرى',
-    he: 'גלו את האפליקציות האחרות שלנו',
-    el: 'Ανακαλύψτε τις άλλες εφαρμογές μας',
-    tr: 'Diğer uygulamalarımızı keşfedin',
-    th: 'สำรวจแอปอื่นๆ ของเรา',
-    vi: 'Khám phá các ứng dụng khác của chúng tôi',
-    ca: 'Descobreix les nostres altres aplicacions'
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * Escape a value for HTML text or a double-quoted attribute.
+ * Existing character references (&oacute;, &#39;, &lt;) are left alone:
+ * older extracted data stores some text pre-encoded, and escaping it again
+ * would show the entity literally.
+ */
+function escapeHtml(value) {
+    return String(value).replace(/&(?![a-zA-Z][a-zA-Z0-9]*;|#\d+;|#x[0-9a-fA-F]+;)|[<>"]/g,
+        ch => HTML_ESCAPES[ch]);
+}
+
+// Inside <script> a substitution is assumed to sit in a string literal.
+// Quotes become \u escapes rather than \" so the result is valid in JSON
+// (application/ld+json) as well as JavaScript.
+const JS_STRING_ESCAPES = {
+    '\\': '\\\\', '"': '\\u0022', "'": '\\u0027', '`': '\\u0060',
+    '<': '\\u003C', '>': '\\u003E', '&': '\\u0026',
+    '\n': '\\n', '\r': '\\r', '\u2028': '\\u2028', '\u2029': '\\u2029'
 };
 
-const ROOT = __dirname;
-const TEMPLATES_DIR = path.join(ROOT, 'templates');
-const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
-const DATA_DIR = path.join(ROOT, 'data');
+function escapeJsString(value) {
+    return String(value).replace(/[\\"'`<>&\n\r\u2028\u2029]/g, ch => JS_STRING_ESCAPES[ch]);
+}
+
+/**
+ * Escape for an attribute value. Double-quoted values only need the HTML
+ * escapes; single-quoted ones also need "'", and unquoted ones anything that
+ * would end the value.
+ */
+function escapeAttr(value, quote) {
+    const escaped = escapeHtml(value);
+    if (quote === '"') return escaped;
+    if (quote === "'") return escaped.replace(/'/g, '&#39;');
+    return escaped.replace(/[\s'=`]/g, ch => '&#' + ch.charCodeAt(0) + ';');
+}
+
+// A CSS value from data may be a colour, length or gradient — never a new
+// declaration, a url(), or the end of the <style> block.
+const SAFE_CSS_VALUE_RE = /^[\w\s#%(),.\/+-]*$/;
+
+function assertSafeCss(value, varPath) {
+    if (!SAFE_CSS_VALUE_RE.test(value) || /expression\s*\(|url\s*\(/i.test(value)) {
+        throw new Error(`Refusing unsafe CSS value ${JSON.stringify(value)} from {{${varPath}}}`);
+    }
+    return value;
+}
 
-function loadPartials() {
-    const partials = {};
-    if (fs.existsSync(PARTIALS_DIR)) {
-        for (const file of fs.readdirSync(PARTIALS_DIR)) {
-            if (file.endsWith('.html')) {
-                const name = path.basename(file, '.html');
-                partials[name] = fs.readFileSync(path.join(PARTIALS_DIR, file), 'utf8');
+// Every named character reference that stands for an ASCII character (no
+// letter or digit has one), keyed in lower case. Decoding these is enough to
+// see a URL's scheme the way the browser will.
+const ASCII_NAMED_REFS = {
+    tab: '\t', newline: '\n',
+    excl: '!', quot: '"', num: '#', dollar: '$', percnt: '%', amp: '&', apos: "'",
+    lpar: '(', rpar: ')', ast: '*', midast: '*', plus: '+', comma: ',', period: '.',
+    sol: '/', colon: ':', semi: ';', lt: '<', equals: '=', gt: '>', quest: '?',
+    commat: '@', lsqb: '[', lbrack: '[', bsol: '\\', rsqb: ']', rbrack: ']', hat: '^',
+    lowbar: '_', underbar: '_', grave: '`', diacriticalgrave: '`', lcub: '{', lbrace: '{',
+    verbar: '|', vert: '|', verticalline: '|', rcub: '}', rbrace: '}'
+};
+
+/**
+ * Decode character references in one pass, as the browser does when it
+ * reads an attribute value: numeric ones and the named ones that stand for
+ * ASCII. Other named references are left as they are.
+ */
+function decodeUrlReferences(value) {
+    return value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z][a-z0-9]*));?/gi, (ref, hex, dec, name) => {
+        if (hex) return String.fromCharCode(parseInt(hex, 16));
+        if (dec) return String.fromCharCode(parseInt(dec, 10));
+        const ch = ASCII_NAMED_REFS[name.toLowerCase()];
+        return ch === undefined ? ref : ch;
+    });
+}
+
+// Attributes whose value is fetched or navigated to
+const URL_ATTRS = new Set(['href', 'src', 'srcset', 'action', 'formaction', 'poster', 'cite', 'xlink:href']);
+
+/**
+ * Throw if a URL would run script when followed (javascript:, vbscript:) or
+ * smuggle a document in through data:. data:image/… stays allowed in src.
+ * Browsers ignore entity encoding, whitespace and control characters when
+ * reading the scheme, so those are normalised away before checking.
+ */
+function assertSafeUrl(url, attrName, source) {
+    const urls = attrName === 'srcset'
+        ? String(url).split(',').map(candidate => candidate.trim().split(/\s+/)[0])
+        : [String(url)];
+    for (const candidate of urls) {
+        const scheme = decodeUrlReferences(candidate)
+            .replace(/[\u0000-\u0020\u007f]/g, '')
+            .toLowerCase();
+        const isImageData = /^data:image\/(png|jpeg|gif|webp|avif);/.test(scheme) && attrName !== 'href';
+        if (/^(javascript|vbscript|livescript):/.test(scheme) || (/^data:/.test(scheme) && !isImageData)) {
+            const shown = candidate.length > 40 ? candidate.slice(0, 40) + '…' : candidate;
+            throw new Error(`Refusing unsafe URL ${JSON.stringify(shown)} in ${attrName} (from ${source})`);
+        }
+    }
+}
+
+// ------------------------------------------------------------
+// HTML context tracking
+//
+// render() feeds every piece of output through advanceHtmlContext() so that
+// each substitution knows whether it lands in text, an attribute value,
+// a <script>/<style> body or a comment, and can be escaped accordingly.
+// ------------------------------------------------------------
+
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+
+function createHtmlContext() {
+    return { state: 'text', tagName: '', isEndTag: false, attrName: '', quote: '', attrValue: '', rawTag: '' };
+}
+
+function enterTagBody(ctx) {
+    if (!ctx.isEndTag && RAW_TEXT_TAGS.has(ctx.tagName)) {
+        ctx.state = 'rawtext';
+        ctx.rawTag = ctx.tagName;
+    } else {
+        ctx.state = 'text';
+    }
+}
+
+/**
+ * Advance the context over a chunk of output. A small subset of the HTML
+ * tokenizer: enough to follow tags, quoted/unquoted attributes, comments,
+ * doctype-style declarations and raw-text elements.
+ */
+function advanceHtmlContext(ctx, chunk) {
+    let i = 0;
+    while (i < chunk.length) {
+        const ch = chunk[i];
+        switch (ctx.state) {
+            case 'text': {
+                const lt = chunk.indexOf('<', i);
+                if (lt === -1) return;
+                ctx.state = 'tagOpen';
+                i = lt + 1;
+                break;
+            }
+            case 'tagOpen':
+                if (chunk.startsWith('!--', i)) {
+                    ctx.state = 'comment';
+                    i += 3;
+                } else if (ch === '!' || ch === '?') {
+                    ctx.state = 'declaration';
+                    i++;
+                } else if (ch === '/' || /[a-zA-Z]/.test(ch)) {
+                    ctx.isEndTag = ch === '/';
+                    ctx.tagName = '';
+                    ctx.state = 'tagName';
+                    if (ctx.isEndTag) i++;
+                } else {
+                    ctx.state = 'text'; // a stray "<" in text
+                }
+                break;
+            case 'tagName':
+                if (/[a-zA-Z0-9-]/.test(ch)) {
+                    ctx.tagName += ch.toLowerCase();
+                    i++;
+                } else {
+                    ctx.state = 'tag';
+                }
+                break;
+            case 'tag':
+                if (ch === '>') {
+                    enterTagBody(ctx);
+                    i++;
+                } else if (/[\s\/]/.test(ch)) {
+                    i++;
+                } else {
+                    ctx.attrName = '';
+                    ctx.state = 'attrName';
+                }
+                break;
+            case 'attrName':
+                if (/[\s\/>=]/.test(ch)) {
+                    ctx.state = 'afterAttrName';
+                } else {
+                    ctx.attrName += ch.toLowerCase();
+                    i++;
+                }
+                break;
+            case 'afterAttrName':
+                if (/\s/.test(ch)) {
+                    i++;
+                } else if (ch === '=') {
+                    ctx.state = 'beforeValue';
+                    i++;
+                } else {
+                    ctx.state = 'tag';
+                }
+                break;
+            case 'beforeValue':
+                if (/\s/.test(ch)) {
+                    i++;
+                    break;
+                }
+                ctx.attrValue = '';
+                ctx.quote = (ch === '"' || ch === "'") ? ch : '';
+                ctx.state = 'value';
+                if (ctx.quote) i++;
+                break;
+            case 'value':
+                if (ctx.quote) {
+                    const end = chunk.indexOf(ctx.quote, i);
+                    if (end === -1) {
+                        ctx.attrValue += chunk.slice(i);
+                        return;
+                    }
+                    ctx.attrValue += chunk.slice(i, end);
+                    ctx.state = 'tag';
+                    i = end + 1;
+                } else if (/[\s>]/.test(ch)) {
+                    ctx.state = 'tag';
+                } else {
+                    ctx.attrValue += ch;
+                    i++;
+                }
+                break;
+            case 'comment': {
+                const end = chunk.indexOf('-->', i);
+                if (end === -1) return;
+                ctx.state = 'text';
+                i = end + 3;
+                break;
+            }
+            case 'declaration': {
+                const end = chunk.indexOf('>', i);
+                if (end === -1) return;
+                ctx.state = 'text';
+                i = end + 1;
+                break;
+            }
+            case 'rawtext': {
+                // Case-insensitive search without toLowerCase(), which can
+                // change the string length (Turkish "İ") and skew indices
+                const closeRe = new RegExp('</' + ctx.rawTag, 'ig');
+                closeRe.lastIndex = i;
+                const match = closeRe.exec(chunk);
+                if (!match) return;
+                const end = match.index;
+                ctx.state = 'tagOpen';
+                i = end + 1;
+                break;
             }
         }
     }
-    return partials;
 }
 
-function loadTemplates() {
-    const templates = {};
-    for (const file of fs.readdirSync(TEMPLATES_DIR)) {
-        if (file.endsWith('.html')) {
-            const name = path.basename(file, '.html');
-            templates[name] = fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+/**
+ * Escape a {{var}} value for wherever the output currently is.
+ */
+function escapeForContext(ctx, text, varPath) {
+    switch (ctx.state) {
+        case 'text':
+        case 'comment':
+            return escapeHtml(text);
+        case 'rawtext':
+            return ctx.rawTag === 'script' ? escapeJsString(text) : assertSafeCss(text, varPath);
+        case 'beforeValue':
+        case 'value': {
+            const quote = ctx.state === 'value' ? ctx.quote : '';
+            const attrValue = ctx.state === 'value' ? ctx.attrValue : '';
+            if (URL_ATTRS.has(ctx.attrName)) {
+                assertSafeUrl(attrValue + text, ctx.attrName, `{{${varPath}}}`);
+            }
+            if (ctx.attrName === 'style') assertSafeCss(text, varPath);
+            const value = ctx.attrName.startsWith('on') ? escapeJsString(text) : text;
+            return escapeAttr(value, quote);
         }
+        default:
+            throw new Error(`{{${varPath}}} is inside a <${ctx.tagName}> tag but not in an attribute value`);
     }
-    return templates;
 }
 
 /**
- * Convert a language code to proper BCP 47 format.
- * Region subtags (2-letter, e.g., 'br' in 'pt-br') become uppercase.
- * Script subtags (4-letter, e.g., 'Hans' in 'zh-Hans') stay as-is.
+ * A raw value is trusted HTML, but inside <script>/<style> it still must
+ * not be able to close the element early.
  */
-function toBcp47(code) {
-    return code.replace(/-([a-zA-Z]{2})$/, (_, region) => '-' + region.toUpperCase());
+function guardRawForContext(ctx, text) {
+    if (ctx.state !== 'rawtext') return text;
+    return text.replace(new RegExp('</(' + ctx.rawTag + ')', 'gi'), '<\\/$1');
 }
 
-// Extra browser-locale aliases that have no language folder of their own but
-// should still redirect to an existing one. Norwegian is reported by browsers
-// as 'nb', 'no' (macrolanguage) or 'nn' (Nynorsk); the site only ships Bokmål,
-// so 'no'/'nn' both map to /nb. Mirrors the app's no->nb mapping.
-const LANG_REDIRECT_ALIASES = [['no', '/nb'], ['nn', '/nb']];
+// Something that looks like markup rather than a stray "<" in prose
+const HTML_TAG_RE = /<\/?[a-zA-Z][^<>]*>/;
+
+// Plain-text {{var}} substitutions whose value contained tags, collected
+// across a build run: varPath → { count, example }. See reportPlainTextHtml().
+let plainTextHtmlHits = new Map();
+
+function notePlainTextHtml(varPath, value) {
+    const hit = plainTextHtmlHits.get(varPath) || { count: 0, example: value };
+    hit.count++;
+    plainTextHtmlHits.set(varPath, hit);
+}
 
 /**
- * Build the [browserLocale, /prefix] map used by the client-side language
- * redirect, derived from languages.json so there is a single source of truth.
- * Regional variants (codes containing '-', e.g. pt-br, fr-ca) MUST come before
- * their base language, otherwise a 'pt-br' browser locale matches the 'pt'
- * entry first (via startsWith). Aliases are appended last (no collisions).
+ * Warn about plain-text fields that carried HTML. Each one was escaped (so
+ * the tags show up as visible text) and probably wants {{{triple-stash}}} in
+ * the template, or the tags removed from the data.
  */
-function buildLangRedirectMap(languages, allowedLangs) {
-    const entries = Object.keys(languages)
-        .filter(code => code !== 'en' && languages[code].prefix)
-        .filter(code => !allowedLangs || allowedLangs.has(code))
-        .map(code => [code, languages[code].prefix]);
-    const regional = entries.filter(e => e[0].includes('-'));
-    const base = entries.filter(e => !e[0].includes('-'));
-    const aliases = LANG_REDIRECT_ALIASES.filter(([, prefix]) =>
-        !allowedLangs || allowedLangs.has(prefix.slice(1)));
-    return [...regional, ...base, ...aliases];
+function reportPlainTextHtml() {
+    for (const [varPath, hit] of plainTextHtmlHits) {
+        const example = hit.example.length > 60 ? hit.example.slice(0, 60) + '…' : hit.example;
+        console.warn(`  Warning: {{${varPath}}} is escaped as plain text but contains HTML ` +
+            `on ${hit.count} page(s), e.g. ${JSON.stringify(example)}. Use {{{${varPath}}}} if it is markup.`);
+    }
+}
+
+// With --strict, build() points this at a fresh list for each page, and
+// substitutions that come out undefined are recorded in it as { expr, loc }.
+// Conditions ({{#if}}, {{#unless}}) aren't recorded: that is how a template
+// marks a field as optional.
+let unresolvedHits = null;
+
+function noteUnresolved(expr, loc) {
+    unresolvedHits.push({ expr, loc });
 }
 
 /**
- * Generate the client-side language-redirect IIFE.
- * home=true  -> homepage variant (redirects to the language home, no lang guard)
- * home=false -> content-page variant (guards on lang==="en", preserves the path)
- * allowedLangs -> optional Set restricting the map (partially translated pages)
+ * Print the --strict report: unresolved substitutions grouped by locale,
+ * then by expression and template position. Returns the number of pages
+ * that had any, which count as build errors.
  */
-function langRedirectScript(languages, { home, allowedLangs } = {}) {
-    const mapLiteral = '[' + buildLangRedirectMap(languages, allowedLangs)
-        .map(([k, v]) => `["${k}","${v}"]`).join(',') + ']';
-    const guard = home ? '' : '\n  if(document.documentElement.lang!=="en")return;';
-    const target = home
-        ? 'map[i][1]+"/"'
-        : 'map[i][1]+window.location.pathname+window.location.search';
-    return `(function(){${guard}
-  if(document.cookie.indexOf("lang-chosen=1")!==-1)return;
-  var map=${mapLiteral};
-  var lang=(navigator.language||navigator.userLanguage||"").toLowerCase();
-  for(var i=0;i<map.length;i++){
-    if(lang===map[i][0]||lang.startsWith(map[i][0]+"-")){
-      document.cookie="lang-chosen=1;path=/;max-age=31536000";
-      window.location.replace(${target});
-      return;
+function reportUnresolved(pageHits) {
+    if (!pageHits.length) {
+        console.log('\nStrict mode: every substitution resolved.');
+        return 0;
     }
-  }
-})();`;
+    console.error(`\nStrict mode: unresolved substitutions on ${pageHits.length} page(s)`);
+    const byLang = new Map();
+    for (const { page, hits } of pageHits) {
+        const lang = page.lang || 'en';
+        if (!byLang.has(lang)) byLang.set(lang, { pages: 0, entries: new Map() });
+        const group = byLang.get(lang);
+        group.pages++;
+        for (const { expr, loc } of hits) {
+            const key = `{{${expr}}} at ${loc.file}:${loc.line}:${loc.column}`;
+            if (!group.entries.has(key)) group.entries.set(key, new Set());
+            group.entries.get(key).add(page.outputPath);
+        }
+    }
+    for (const [lang, group] of [...byLang].sort(([a], [b]) => a.localeCompare(b))) {
+        console.error(`  ${lang} — ${group.pages} page(s)`);
+        for (const [key, outputPaths] of group.entries) {
+            const examples = [...outputPaths].slice(0, 3).join(', ');
+            const more = outputPaths.size > 3 ? `, +${outputPaths.size - 3} more` : '';
+            console.error(`    ${key} on ${outputPaths.size} page(s): ${examples}${more}`);
+        }
+    }
+    console.error('  (Fix the data or template, or wrap optional fields in {{#if}}.)');
+    return pageHits.length;
 }
 
 /**
- * Build the full context object for rendering a page.
+ * Resolve a dot-notation path against an object.
+ * e.g. resolve(ctx, "meta.title") → ctx.meta.title
+ */
+function resolve(obj, keyPath) {
+    if (!keyPath || obj == null) return undefined;
+    return keyPath.split('.').reduce((o, k) => (o != null) ? o[k] : undefined, obj);
+}
+
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value;
+}
+
+// ------------------------------------------------------------
+// Helpers & filters
+//
+// {{name arg1 arg2}} calls a registered helper; {{value | name arg1}} pipes a
+// value through one as a filter (the value becomes the first argument).
+// Arguments are "string"/'string' literals, numbers, true/false/null, or
+// paths resolved against the current context, which is also `this` inside
+// the helper. Output is escaped for its context unless the helper was
+// registered with { html: true }.
+// ------------------------------------------------------------
+
+const helpers = {};
+
+function registerHelper(name, fn, options) {
+    helpers[name] = { fn, html: !!(options && options.html) };
+}
+
+/**
+ * Split "a | b 1 | c" on single pipes outside quotes.
+ */
+function splitPipeline(expr) {
+    const stages = [];
+    let current = '';
+    let quote = '';
+    for (let i = 0; i < expr.length; i++) {
+        const ch = expr[i];
+        if (quote) {
+            if (ch === '\\') {
+                current += ch + (expr[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (ch === quote) quote = '';
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '|' && expr[i + 1] !== '|' && expr[i - 1] !== '|') {
+            stages.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += ch;
+    }
+    stages.push(current.trim());
+    return stages;
+}
+
+function tokenizeArgs(str) {
+    return str.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+/g) || [];
+}
+
+/**
+ * Compile a single argument token: a literal, or a path into the context.
+ * Returns a function of the context.
+ */
+function compileArg(token) {
+    let literal;
+    if (/^"(?:[^"\\]|\\.)*"$/.test(token)) literal = JSON.parse(token);
+    else if (/^'(?:[^'\\]|\\.)*'$/.test(token)) literal = token.slice(1, -1).replace(/\\(.)/g, '$1');
+    else if (/^-?\d+(\.\d+)?$/.test(token)) literal = Number(token);
+    else if (token === 'true') literal = true;
+    else if (token === 'false') literal = false;
+    else if (token === 'null') literal = null;
+    else return data => resolve(data, token);
+    return () => literal;
+}
+
+/**
+ * Compile a substitution expression: a path or helper call, optionally
+ * followed by | filters. Returns a function of the context that gives
+ * { value, html }, where html says the value is trusted markup from an
+ * { html: true } helper. Unknown helpers and filters are compile errors.
+ */
+function compileExpression(expr) {
+    const [headExpr, ...filters] = splitPipeline(expr);
+    const headTokens = tokenizeArgs(headExpr);
+    if (!headTokens.length) throw new Error(`Empty expression {{${expr}}}`);
+    let head;
+    let html = false;
+
+    if (headTokens.length === 1) {
+        head = compileArg(headTokens[0]);
+    } else if (helpers[headTokens[0]]) {
+        const helper = helpers[headTokens[0]];
+        const args = headTokens.slice(1).map(compileArg);
+        head = data => helper.fn.apply(data, args.map(arg => arg(data)));
+        html = helper.html;
+    } else {
+        throw new Error(`Unknown helper "${headTokens[0]}" in {{${expr}}}`);
+    }
+
+    const pipeline = filters.map(filter => {
+        const [name, ...tokens] = tokenizeArgs(filter);
+        const helper = helpers[name];
+        if (!helper) throw new Error(`Unknown filter "${name}" in {{${expr}}}`);
+        const args = tokens.map(compileArg);
+        html = helper.html;
+        return (value, data) => helper.fn.call(data, value, ...args.map(arg => arg(data)));
+    });
+
+    return data => {
+        let value = head(data);
+        for (const filter of pipeline) value = filter(value, data);
+        return { value, html };
+    };
+}
+
+// Named formats for the date filter (Intl.DateTimeFormat options)
+const DATE_FORMATS = {
+    short: { dateStyle: 'short' },
+    medium: { dateStyle: 'medium' },
+    long: { dateStyle: 'long' },
+    full: { dateStyle: 'full' },
+    month: { year: 'numeric', month: 'long' }
+};
+
+/**
+ * Parse a date field. Bare YYYY-MM-DD dates are taken as UTC so the build
+ * machine's time zone can't shift them by a day.
+ */
+function parseDate(value) {
+    if (value instanceof Date) return value;
+    const ymd = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+    if (ymd) return new Date(Date.UTC(+ymd[1], +ymd[2] - 1, +ymd[3]));
+    return new Date(String(value));
+}
+
+registerHelper('raw', value => value, { html: true });
+// Markdown links are localised for the page being rendered (this.linkLocale).
+// Further arguments are joined into the footnote id prefix, so each field on
+// a page gets its own: {{md answer "faq" @index}} gives fn-faq-0-1.
+registerHelper('md', function (value, ...idParts) {
+    const idPrefix = idParts.filter(part => part != null && part !== '').join('-');
+    return markdownToHtml(value != null ? String(value) : '', this.linkLocale, idPrefix);
+}, { html: true });
+registerHelper('mdi', function (value) {
+    return markdownInline(value != null ? String(value) : '', this.linkLocale);
+}, { html: true });
+
+// Structured data blocks as <script type="application/ld+json"> tags
+registerHelper('jsonld', blocks => {
+    if (!Array.isArray(blocks)) return '';
+    return blocks.map(block =>
+        '    <script type="application/ld+json">\n' +
+        // "<\/script" is the same JSON string but can't end the tag early
+        JSON.stringify(block, null, 6).replace(/<\/(script)/gi, '<\\/$1')
+            .split('\n').map(line => '    ' + line).join('\n') +
+        '\n    </script>'
+    ).join('\n');
+}, { html: true });
+
+// {{meta.title | truncate 60}} — cut at a word boundary and add an ellipsis
+registerHelper('truncate', (value, length, suffix) => {
+    if (value == null) return value;
+    const chars = Array.from(String(value));
+    if (chars.length <= length) return String(value);
+    const ending = suffix != null ? String(suffix) : '…';
+    const cut = chars.slice(0, Math.max(0, length - Array.from(ending).length)).join('');
+    const lastSpace = cut.lastIndexOf(' ');
+    return (lastSpace > cut.length / 2 ? cut.slice(0, lastSpace) : cut).trimEnd() + ending;
+});
+
+// {{datePublished | date "long" lang}} — locale is a code or a languages.json entry
+registerHelper('date', (value, format, locale) => {
+    if (!value) return value;
+    const date = parseDate(value);
+    if (isNaN(date.getTime())) return value;
+    if (format === 'iso') return date.toISOString().slice(0, 10);
+    const code = (locale && typeof locale === 'object') ? locale.code : locale;
+    const options = DATE_FORMATS[format || 'long'];
+    if (!options) throw new Error(`Unknown date format "${format}"`);
+    return new Intl.DateTimeFormat(toBcp47(code || 'en'), { ...options, timeZone: 'UTC' }).format(date);
+});
+
+registerHelper('length', value => {
+    if (value == null) return 0;
+    if (Array.isArray(value) || typeof value === 'string') return Array.from(value).length;
+    if (typeof value === 'object') return Object.keys(value).length;
+    return 0;
+});
+
+registerHelper('upper', value => value != null ? String(value).toUpperCase() : value);
+registerHelper('lower', value => value != null ? String(value).toLowerCase() : value);
+registerHelper('default', (value, fallback) => isTruthy(value) ? value : fallback);
+
+// srcset="{{srcset hero.image}}" — the image's generated smaller widths and
+// the original (see Responsive Images)
+registerHelper('srcset', src => responsiveSrcset(src));
+
+// ------------------------------------------------------------
+// Partials
+//
+// {{> name}} renders a partial with the caller's context, optionally
+// replaced by a single positional argument (an object path), with hash
+// arguments (key=value) laid on top. Hash values are literals or paths,
+// evaluated in the caller's context.
+// ------------------------------------------------------------
+
+const PARTIAL_ARG_RE = /([\w$]+)=("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\S+)/g;
+
+/**
+ * Compile the inside of a partial tag ("card item title=item.name icon='x'").
+ * Returns { name, context } where context(data) builds the partial's context.
+ */
+function compilePartialTag(tagBody) {
+    const match = /^(\S+)\s*([\s\S]*)$/.exec(tagBody.trim());
+    if (!match) throw new Error(`Can't parse partial tag {{> ${tagBody.trim()}}}`);
+    const [, name, argStr] = match;
+    const hash = [];
+    let positional = null;
+    let argMatch;
+    PARTIAL_ARG_RE.lastIndex = 0;
+    while ((argMatch = PARTIAL_ARG_RE.exec(argStr)) !== null) {
+        if (argMatch[1]) {
+            hash.push([argMatch[1], compileArg(argMatch[2])]);
+        } else if (!positional) {
+            positional = compileArg(argMatch[3]);
+        } else {
+            throw new Error(`Partial "${name}" takes at most one context argument`);
+        }
+    }
+
+    const context = data => {
+        let base = data;
+        if (positional) {
+            const value = positional(data);
+            if (value && typeof value === 'object') base = { ...data, ...value };
+        }
+        const result = { ...base };
+        for (const [key, value] of hash) result[key] = value(data);
+        return result;
+    };
+    return { name, context };
+}
+
+// ------------------------------------------------------------
+// Conditions
+//
+// {{#if}} / {{#unless}} / {{else if}} take an expression:
+//   path                      truthy test (empty arrays are false)
+//   a == "en", a != b         strict (in)equality; === and !== also accepted
+//   items.length > 3          <, >, <=, >= compare numerically
+//   a && b, a || b, !a        logical operators, ( ) for grouping
+// Operands are paths or "string"/'string', number, true/false/null literals.
+// ------------------------------------------------------------
+
+const CONDITION_TOKEN_RE = /\s*(\|\||&&|===|!==|==|!=|<=|>=|<|>|!|\(|\)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^\s()!<>=&|]+)/y;
+
+function tokenizeCondition(expr) {
+    const tokens = [];
+    CONDITION_TOKEN_RE.lastIndex = 0;
+    let match;
+    while (CONDITION_TOKEN_RE.lastIndex < expr.length && (match = CONDITION_TOKEN_RE.exec(expr)) !== null) {
+        tokens.push(match[1]);
+    }
+    if (CONDITION_TOKEN_RE.lastIndex < expr.trimEnd().length) {
+        throw new Error(`Can't parse condition "${expr}"`);
+    }
+    return tokens;
+}
+
+/**
+ * Compile an {{#if}} condition into a function of the context. A small
+ * recursive descent parser: || binds loosest, then &&, then !, then
+ * comparisons.
+ */
+function compileCondition(expr) {
+    const tokens = tokenizeCondition(expr);
+    let i = 0;
+    const fail = () => {
+        throw new Error(`Can't parse condition "${expr}"` +
+            (i < tokens.length ? ` near "${tokens[i]}"` : ' (unexpected end)'));
+    };
+
+    function parseOr() {
+        let test = parseAnd();
+        while (tokens[i] === '||') {
+            i++;
+            const left = test;
+            const right = parseAnd();
+            test = data => isTruthy(left(data)) || isTruthy(right(data));
+        }
+        return test;
+    }
+    function parseAnd() {
+        let test = parseNot();
+        while (tokens[i] === '&&') {
+            i++;
+            const left = test;
+            const right = parseNot();
+            test = data => isTruthy(left(data)) && isTruthy(right(data));
+        }
+        return test;
+    }
+    function parseNot() {
+        if (tokens[i] === '!') {
+            i++;
+            const operand = parseNot();
+            return data => !isTruthy(operand(data));
+        }
+        return parseComparison();
+    }
+    function parseComparison() {
+        const left = parseOperand();
+        const op = tokens[i];
+        if (!['==', '===', '!=', '!==', '<', '>', '<=', '>='].includes(op)) return left;
+        i++;
+        const right = parseOperand();
+        switch (op) {
+            case '==':
+            case '===': return data => left(data) === right(data);
+            case '!=':
+            case '!==': return data => left(data) !== right(data);
+            case '<': return data => Number(left(data)) < Number(right(data));
+            case '>': return data => Number(left(data)) > Number(right(data));
+            case '<=': return data => Number(left(data)) <= Number(right(data));
+            default: return data => Number(left(data)) >= Number(right(data));
+        }
+    }
+    function parseOperand() {
+        const token = tokens[i];
+        if (token === undefined) fail();
+        if (token === '(') {
+            i++;
+            const test = parseOr();
+            if (tokens[i] !== ')') fail();
+            i++;
+            return test;
+        }
+        if (/^(\|\||&&|[=!<>]=*|\))$/.test(token)) fail();
+        i++;
+        return compileArg(token);
+    }
+
+    const test = parseOr();
+    if (i < tokens.length) fail();
+    return data => isTruthy(test(data));
+}
+
+// ------------------------------------------------------------
+// Compiler
+//
+// compileTemplate() parses a template file once into a tree of nodes, which
+// render() then walks for every page. Each node carries loc { file, line,
+// column } so that syntax errors, and errors raised while rendering, point
+// at the tag that caused them. Node types:
+//   text     { value }
+//   expr     { expr, evaluate, raw }       {{expr}} and {{{expr}}}
+//   json     { path }
+//   each     { path, itemName, keyName, body }
+//   if       { tagName, branches: [{ test, negate, body }], elseBody }
+//   partial  { name, context, body }       body is the slot of {{#> name}}
+//   block    { name, body }                resolved by expandLayouts()
+//   super    {}
+// ------------------------------------------------------------
+
+const EXTENDS_RE = /^\s*\{\{\s*extends\s+"([^"]+)"\s*\}\}\n?/;
+
+/**
+ * Error for a problem at a known place in a template. Errors raised while
+ * rendering are wrapped once, by the innermost node.
+ */
+function templateError(loc, message) {
+    const err = new Error(`${loc.file}:${loc.line}:${loc.column}: ${message}`);
+    err.templateLoc = loc;
+    return err;
+}
+
+// Map an offset in source to { file, line, column } (1-based)
+function createLocator(source, file) {
+    const lineStarts = [0];
+    for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+    return offset => {
+        let lo = 0;
+        let hi = lineStarts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (lineStarts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return { file, line: lo + 1, column: offset - lineStarts[lo] + 1 };
+    };
+}
+
+// Length of the line break after a tag that sits alone on its line, else 0
+function standaloneBreak(template, tagStart, tagEnd) {
+    const lineStart = tagStart === 0 || template[tagStart - 1] === '\n';
+    if (!lineStart) return 0;
+    if (template.startsWith('\r\n', tagEnd)) return 2;
+    return template[tagEnd] === '\n' ? 1 : 0;
+}
+
+/**
+ * Parse a template into { file, layout, layoutLoc, body }. layout is the
+ * name from a leading {{extends "name"}}, if any. Throws on unbalanced or
+ * mismatched block tags, a stray {{else}}, and unparseable tags.
+ */
+function compileTemplate(source, file) {
+    const locAt = createLocator(source, file);
+    const body = [];
+    // Open blocks, innermost last: { node, closeName, openTag, parentNodes }
+    const stack = [];
+    let nodes = body;
+    let layout = null;
+    let layoutLoc = null;
+    let pos = 0;
+
+    const extendsMatch = EXTENDS_RE.exec(source);
+    if (extendsMatch) {
+        layout = extendsMatch[1];
+        layoutLoc = locAt(source.indexOf('{{'));
+        pos = extendsMatch[0].length;
+    }
+
+    const pushText = (value, offset) => {
+        if (value) nodes.push({ type: 'text', value, loc: locAt(offset) });
+    };
+    const open = (node, closeName, openTag) => {
+        nodes.push(node);
+        stack.push({ node, closeName, openTag, parentNodes: nodes });
+        nodes = node.body;
+    };
+
+    while (pos < source.length) {
+        const tagStart = source.indexOf('{{', pos);
+        if (tagStart === -1) {
+            pushText(source.slice(pos), pos);
+            break;
+        }
+        pushText(source.slice(pos, tagStart), pos);
+        const loc = locAt(tagStart);
+
+        try {
+            // {{{expr}}} - unescaped substitution
+            if (source[tagStart + 2] === '{') {
+                const rawEnd = source.indexOf('}}}', tagStart);
+                if (rawEnd === -1) throw new Error('Unclosed {{{');
+                const expr = source.slice(tagStart + 3, rawEnd).trim();
+                nodes.push({ type: 'expr', expr, evaluate: compileExpression(expr), raw: true, loc });
+                pos = rawEnd + 3;
+                continue;
+            }
+
+            const tagEnd = source.indexOf('}}', tagStart);
+            if (tagEnd === -1) throw new Error('Unclosed {{');
+            const tag = source.slice(tagStart + 2, tagEnd).trim();
+            pos = tagEnd + 2;
+
+            if (tag.startsWith('#each ')) {
+                // {{#each path}} or {{#each path as |item key|}}
+                const eachMatch = /^(\S+)(?:\s+as\s+\|\s*([\w$]+)(?:\s+([\w$]+))?\s*\|)?$/.exec(tag.slice(6).trim());
+                if (!eachMatch) throw new Error(`Can't parse {{${tag}}}`);
+                const [, eachPath, itemName, keyName] = eachMatch;
+                open({ type: 'each', path: eachPath, itemName, keyName, body: [], loc }, 'each', tag);
+
+            } else if (tag.startsWith('#if ') || tag.startsWith('#unless ')) {
+                const tagName = tag.startsWith('#if ') ? 'if' : 'unless';
+                const branch = { test: compileCondition(tag.slice(tagName.length + 1).trim()), negate: tagName === 'unless', body: [] };
+                const node = { type: 'if', tagName, branches: [branch], elseBody: null, loc };
+                nodes.push(node);
+                stack.push({ node, closeName: tagName, openTag: tag, parentNodes: nodes });
+                nodes = branch.body;
+
+            } else if (tag === 'else' || /^else\s+if\s/.test(tag)) {
+                // {{else}} / {{else if}} belong to the innermost open block,
+                // which has to be a conditional
+                const top = stack[stack.length - 1];
+                if (!top || top.node.type !== 'if') {
+                    throw new Error(`{{${tag}}} outside {{#if}}/{{#unless}}` +
+                        (top ? ` (inside {{${top.openTag}}})` : ''));
+                }
+                if (top.node.elseBody) throw new Error(`{{${tag}}} after {{else}}`);
+                if (tag === 'else') {
+                    top.node.elseBody = [];
+                    nodes = top.node.elseBody;
+                } else {
+                    const branch = { test: compileCondition(tag.replace(/^else\s+if\s+/, '')), negate: false, body: [] };
+                    top.node.branches.push(branch);
+                    nodes = branch.body;
+                }
+
+            } else if (tag.startsWith('#block ')) {
+                // Layout block; a block tag alone on its line takes its line
+                // break with it, so blocks don't leave blank lines behind
+                const blockMatch = /^#block\s+([\w-]+)$/.exec(tag);
+                if (!blockMatch) throw new Error(`Can't parse {{${tag}}}`);
+                pos += standaloneBreak(source, tagStart, pos);
+                open({ type: 'block', name: blockMatch[1], body: [], loc }, 'block', tag);
+
+            } else if (tag.startsWith('#>')) {
+                // {{#> partialName args}} slot {{/partialName}}
+                const { name, context } = compilePartialTag(tag.slice(2));
+                open({ type: 'partial', name, context, body: [], loc }, name, tag);
+
+            } else if (tag.startsWith('/')) {
+                const closeName = tag.slice(1).trim();
+                const top = stack.pop();
+                if (!top) throw new Error(`{{${tag}}} without a matching opening tag`);
+                if (top.closeName !== closeName) {
+                    throw new Error(`{{${tag}}} doesn't match {{${top.openTag}}} ` +
+                        `at line ${top.node.loc.line}, column ${top.node.loc.column}`);
+                }
+                if (closeName === 'block') pos += standaloneBreak(source, tagStart, pos);
+                nodes = top.parentNodes;
+
+            } else if (tag.startsWith('>')) {
+                // {{> partialName args}}, or {{> @partial-block}} for the slot
+                const { name, context } = compilePartialTag(tag.slice(1));
+                nodes.push({ type: 'partial', name, context, body: null, loc });
+
+            } else if (tag.startsWith('json ')) {
+                nodes.push({ type: 'json', path: tag.slice(5).trim(), loc });
+
+            } else if (tag === 'super') {
+                nodes.push({ type: 'super', loc });
+
+            } else if (/^extends\s/.test(tag)) {
+                throw new Error('{{extends}} has to come first in the template');
+
+            } else if (tag.startsWith('#')) {
+                throw new Error(`Unknown block tag {{${tag}}}`);
+
+            } else {
+                nodes.push({ type: 'expr', expr: tag, evaluate: compileExpression(tag), raw: false, loc });
+            }
+        } catch (err) {
+            throw err.templateLoc ? err : templateError(loc, err.message);
+        }
+    }
+
+    if (stack.length) {
+        const top = stack[stack.length - 1];
+        throw templateError(top.node.loc, `{{${top.openTag}}} is never closed (expected {{/${top.closeName}}})`);
+    }
+    return { file, layout, layoutLoc, body };
+}
+
+/**
+ * Call fn(node) for every node in a tree, depth first.
+ */
+function walkNodes(nodes, fn) {
+    for (const node of nodes) {
+        fn(node);
+        if (node.body) walkNodes(node.body, fn);
+        if (node.branches) node.branches.forEach(branch => walkNodes(branch.body, fn));
+        if (node.elseBody) walkNodes(node.elseBody, fn);
+    }
+}
+
+/**
+ * Errors for partials a template uses that don't exist.
+ */
+function checkPartialRefs(template, partials) {
+    const errors = [];
+    walkNodes(template.body, node => {
+        if (node.type === 'partial' && node.name !== '@partial-block' && !partials[node.name]) {
+            errors.push(templateError(node.loc, `Unknown partial "${node.name}"`).message);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Render a template with the given data context. template is a compiled
+ * template (see compileTemplate) or a source string, compiled on the spot.
+ *
+ * Supported syntax:
+ *   {{variable}}          - insert escaped value (dot notation: {{a.b.c}}).
+ *                           Escaping follows the output context: HTML text,
+ *                           attribute value (URL attributes reject
+ *                           javascript:/data: URLs), <script> string literal
+ *                           or CSS value.
+ *   {{{variable}}}        - insert value as-is, for fields that hold HTML
+ *   {{helper a "b" 3}}    - call a registered helper (see registerHelper)
+ *   {{variable | filter arg}} - pipe a value through helpers, left to right
+ *   {{#each array}}       - loop over array; item props available directly
+ *   {{/each}}               (objects are looped over their keys). Inside:
+ *                           @index, @first, @last, @key (object key / array
+ *                           index); _value for scalar items
+ *   {{#each array as |item i|}} - same, but the item is only reachable as
+ *                           item (and the key/index as i); page fields are
+ *                           not shadowed
+ *   {{#if condition}}     - conditional block (see compileCondition)
+ *   {{else if condition}} - optional further branches
+ *   {{else}}              - optional else branch
+ *   {{/if}}
+ *   {{#unless condition}} - inverted conditional, optional {{else}}
+ *   {{/unless}}
+ *   {{> partialName}}     - include a partial template
+ *   {{> partialName ctx key=value}} - include it with ctx (optional) as
+ *                           its context and hash arguments on top
+ *   {{#> partialName key=value}}   - block form: the partial renders the
+ *   ...                     inner content wherever it says
+ *   {{/partialName}}        {{> @partial-block}}
+ *   (layouts — {{extends}} / {{#block}} — are resolved before render(); see
+ *   expandLayouts)
+ *   {{json variable}}     - output JSON.stringify'd value
+ *
+ * Built-in helpers: raw, md, mdi, jsonld, truncate, date, length, upper,
+ * lower, default, srcset.
+ */
+function render(template, data, partials, htmlCtx) {
+    if (typeof template === 'string') template = compileTemplate(template, '(inline template)');
+    return renderNodes(template.body, data, partials || {}, htmlCtx || createHtmlContext());
+}
+
+function renderNodes(nodes, data, partials, htmlCtx) {
+    let output = '';
+
+    // Append output and move the HTML context past it
+    const emit = chunk => {
+        advanceHtmlContext(htmlCtx, chunk);
+        output += chunk;
+    };
+    const emitRaw = value => {
+        if (value != null) emit(guardRawForContext(htmlCtx, String(value)));
+    };
+
+    for (const node of nodes) {
+        try {
+            switch (node.type) {
+                case 'text':
+                    emit(node.value);
+                    break;
+
+                case 'expr': {
+                    // {{expression}} - path or helper call, optionally | filtered
+                    const { value, html } = node.evaluate(data);
+                    if (value === undefined && unresolvedHits) noteUnresolved(node.expr, node.loc);
+                    if (node.raw || html) {
+                        emitRaw(value);
+                    } else if (value != null) {
+                        const text = String(value);
+                        if (htmlCtx.state === 'text' && HTML_TAG_RE.test(text)) notePlainTextHtml(node.expr, text);
+                        emit(escapeForContext(htmlCtx, text, node.expr));
+                    }
+                    break;
+                }
+
+                case 'each': {
+                    const collection = resolve(data, node.path);
+                    const isArray = Array.isArray(collection);
+                    const keys = isArray
+                        ? collection.map((_, i) => i)
+                        : (collection && typeof collection === 'object') ? Object.keys(collection) : [];
+                    keys.forEach((key, i) => {
+                        const item = collection[key];
+                        const loopVars = {
+                            _parent: data, _index: i, _first: i === 0, _last: i === keys.length - 1,
+                            '@index': i, '@first': i === 0, '@last': i === keys.length - 1,
+                            '@key': key
+                        };
+                        let itemCtx;
+                        if (node.itemName) {
+                            // Block params: the item stays under its own name and
+                            // never shadows page fields
+                            itemCtx = { ...data, ...loopVars, [node.itemName]: item };
+                            if (node.keyName) itemCtx[node.keyName] = key;
+                        } else if (typeof item === 'object' && item !== null) {
+                            itemCtx = { ...data, ...item, ...loopVars };
+                        } else {
+                            itemCtx = { ...data, _value: item, ...loopVars };
+                        }
+                        output += renderNodes(node.body, itemCtx, partials, htmlCtx);
+                    });
+                    break;
+                }
+
+                case 'if': {
+                    const branch = node.branches.find(b => b.test(data) !== b.negate);
+                    const body = branch ? branch.body : node.elseBody;
+                    if (body) output += renderNodes(body, data, partials, htmlCtx);
+                    break;
+                }
+
+                case 'partial': {
+                    if (node.name === '@partial-block') {
+                        // Slot content, rendered in the context of whoever passed it
+                        const slot = data['@partial-block'];
+                        if (slot) output += renderNodes(slot.body, slot.data, partials, htmlCtx);
+                        break;
+                    }
+                    const partial = partials[node.name];
+                    if (!partial) throw new Error(`Unknown partial "${node.name}"`);
+                    const context = node.context(data);
+                    if (node.body) context['@partial-block'] = { body: node.body, data };
+                    output += renderNodes(partial.body, context, partials, htmlCtx);
+                    break;
+                }
+
+                case 'json': {
+                    // {{json varPath}} - output as formatted JSON
+                    const value = resolve(data, node.path);
+                    if (value === undefined && unresolvedHits) noteUnresolved('json ' + node.path, node.loc);
+                    if (value !== undefined) {
+                        const json = JSON.stringify(value, null, 6);
+                        // "<" as \u003C keeps "</script>" in a string from closing the tag
+                        emit(htmlCtx.state === 'rawtext' ? json.replace(/</g, '\\u003C') : escapeHtml(json));
+                    }
+                    break;
+                }
+
+                case 'block':
+                    // Blocks outside a layout render their own content
+                    output += renderNodes(node.body, data, partials, htmlCtx);
+                    break;
+
+                default:
+                    throw new Error('{{super}} outside a {{#block}} override');
+            }
+        } catch (err) {
+            throw err.templateLoc ? err : templateError(node.loc, err.message);
+        }
+    }
+
+    return output;
+}
+
+// ============================================================
+// Build Logic
+// ============================================================
+
+const RELATED_APPS_TITLE = {
+    en: 'Explore our other apps',
+    de: 'Entdecken Sie unsere anderen Apps',
+    es: 'Descubre nuestras otras aplicaciones',
+    fr: 'Découvrez nos autres applications',
+    'fr-ca': 'Découvrez nos autres applications',
+    it: 'Scopri le nostre altre app',
+    ru: 'Откройте для себя другие наши приложения',
+    ja: '他のアプリもチェック',
+    ko: '다른 앱 둘러보기',
+    'pt-br': 'Conheça nossos outros aplicativos',
+    pt: 'Conheça as nossas outras aplicações',
+    'zh-Hans': '探索我们的其他应用',
+    'zh-Hant': '探索我們的其他應用程式',
+    sv: 'Utforska våra andra appar',
+    nb: 'Utforsk våre andre apper',
+    da: 'Udforsk vores andre apps',
+    fi: 'Tutustu muihin sovelluksiimme',
+    nl: 'Ontdek onze andere apps',
+    pl: 'Odkryj nasze inne aplikacje',
+    cs: 'Prozkoumejte naše další aplikace',
+    sk: 'Preskúmajte naše ďalšie aplikácie',
+    ro: 'Descoperă celelalte aplicații ale noastre',
+    hr: 'Istražite naše druge aplikacije',
+    hu: 'Fedezze fel többi alkalmazásunkat',
+    uk: 'Відкрийте для себе наші інші додатки',
+    ar: 'استكشف تطبيقاتنا الأخرى',
+    he: 'גלו את האפליקציות האחרות שלנו',
+    el: 'Ανακαλύψτε τις άλλες εφαρμογές μας',
+    tr: 'Diğer uygulamalarımızı keşfedin',
+    th: 'สำรวจแอปอื่นๆ ของเรา',
+    vi: 'Khám phá các ứng dụng khác của chúng tôi',
+    ca: 'Descobreix les nostres altres aplicacions'
+};
+
+// Heading above the table of contents on guide pages (overlays can set tocTitle)
+const TOC_TITLE = {
+    en: 'On this page',
+    de: 'Auf dieser Seite',
+    es: 'En esta página',
+    fr: 'Sur cette page',
+    'fr-ca': 'Sur cette page',
+    it: 'In questa pagina',
+    ru: 'На этой странице',
+    ja: 'このページの内容',
+    ko: '이 페이지의 내용',
+    'pt-br': 'Nesta página',
+    pt: 'Nesta página',
+    'zh-Hans': '本页内容',
+    'zh-Hant': '本頁內容',
+    sv: 'På den här sidan',
+    nb: 'På denne siden',
+    da: 'På denne side',
+    fi: 'Tällä sivulla',
+    nl: 'Op deze pagina',
+    pl: 'Na tej stronie',
+    cs: 'Na této stránce',
+    sk: 'Na tejto stránke',
+    ro: 'Pe această pagină',
+    hr: 'Na ovoj stranici',
+    hu: 'Ezen az oldalon',
+    uk: 'На цій сторінці',
+    ar: 'في هذه الصفحة',
+    he: 'בעמוד זה',
+    el: 'Σε αυτή τη σελίδα',
+    tr: 'Bu sayfada',
+    th: 'ในหน้านี้',
+    vi: 'Trong trang này',
+    ca: 'En aquesta pàgina'
+};
+
+// First breadcrumb (the home page) in JSON-LD for pages with no breadcrumb
+// data of their own, e.g. tips pages. Matches the guides' breadcrumb.home.
+const BREADCRUMB_HOME = {
+    en: 'Home',
+    de: 'Start',
+    es: 'Inicio',
+    fr: 'Accueil',
+    'fr-ca': 'Accueil',
+    it: 'Home',
+    ru: 'Главная',
+    ja: 'ホーム',
+    ko: '홈',
+    'pt-br': 'Início',
+    pt: 'Início',
+    'zh-Hans': '首页',
+    'zh-Hant': '首頁',
+    sv: 'Hem',
+    nb: 'Hjem',
+    da: 'Hjem',
+    fi: 'Etusivu',
+    nl: 'Home',
+    pl: 'Strona główna',
+    cs: 'Domů',
+    sk: 'Domov',
+    ro: 'Acasă',
+    hr: 'Početna',
+    hu: 'Kezdőlap',
+    uk: 'Головна',
+    ar: 'الرئيسية',
+    he: 'בית',
+    el: 'Αρχική',
+    tr: 'Ana Sayfa',
+    th: 'หน้าแรก',
+    vi: 'Trang chủ',
+    ca: 'Inici'
+};
+
+// Guide header lines, filled in from dateModified, lastReviewed/reviewedBy and
+// the computed reading time. {date} and {minutes} are formatted with Intl for
+// the page language.
+const GUIDE_META_TEXT = {
+    en: { updated: 'Last updated: {date}', reviewed: 'Medically reviewed by {name} · {date}', readingTime: 'Reading time: {minutes}' },
+    de: { updated: 'Zuletzt aktualisiert: {date}', reviewed: 'Medizinisch geprüft von {name} · {date}', readingTime: 'Lesezeit: {minutes}' },
+    es: { updated: 'Última actualización: {date}', reviewed: 'Revisión médica: {name} · {date}', readingTime: 'Tiempo de lectura: {minutes}' },
+    fr: { updated: 'Dernière mise à jour : {date}', reviewed: 'Révision médicale : {name} · {date}', readingTime: 'Temps de lecture : {minutes}' },
+    'fr-ca': { updated: 'Dernière mise à jour : {date}', reviewed: 'Révision médicale : {name} · {date}', readingTime: 'Temps de lecture : {minutes}' },
+    it: { updated: 'Ultimo aggiornamento: {date}', reviewed: 'Revisione medica: {name} · {date}', readingTime: 'Tempo di lettura: {minutes}' },
+    ru: { updated: 'Обновлено: {date}', reviewed: 'Медицинская проверка: {name} · {date}', readingTime: 'Время чтения: {minutes}' },
+    ja: { updated: '最終更新：{date}', reviewed: '医療監修：{name}・{date}', readingTime: '読了時間：{minutes}' },
+    ko: { updated: '마지막 업데이트: {date}', reviewed: '의학 감수: {name} · {date}', readingTime: '읽는 시간: {minutes}' },
+    'pt-br': { updated: 'Última atualização: {date}', reviewed: 'Revisão médica: {name} · {date}', readingTime: 'Tempo de leitura: {minutes}' },
+    pt: { updated: 'Última atualização: {date}', reviewed: 'Revisão médica: {name} · {date}', readingTime: 'Tempo de leitura: {minutes}' },
+    'zh-Hans': { updated: '最近更新：{date}', reviewed: '医学审核：{name} · {date}', readingTime: '阅读时间：{minutes}' },
+    'zh-Hant': { updated: '最後更新：{date}', reviewed: '醫學審閱：{name} · {date}', readingTime: '閱讀時間：{minutes}' },
+    sv: { updated: 'Senast uppdaterad: {date}', reviewed: 'Medicinskt granskad av {name} · {date}', readingTime: 'Lästid: {minutes}' },
+    nb: { updated: 'Sist oppdatert: {date}', reviewed: 'Medisinsk gjennomgått av {name} · {date}', readingTime: 'Lesetid: {minutes}' },
+    da: { updated: 'Sidst opdateret: {date}', reviewed: 'Medicinsk gennemgået af {name} · {date}', readingTime: 'Læsetid: {minutes}' },
+    fi: { updated: 'Päivitetty viimeksi: {date}', reviewed: 'Lääketieteellinen tarkistus: {name} · {date}', readingTime: 'Lukuaika: {minutes}' },
+    nl: { updated: 'Laatst bijgewerkt: {date}', reviewed: 'Medisch gecontroleerd door {name} · {date}', readingTime: 'Leestijd: {minutes}' },
+    pl: { updated: 'Ostatnia aktualizacja: {date}', reviewed: 'Weryfikacja medyczna: {name} · {date}', readingTime: 'Czas czytania: {minutes}' },
+    cs: { updated: 'Naposledy aktualizováno: {date}', reviewed: 'Lékařská kontrola: {name} · {date}', readingTime: 'Doba čtení: {minutes}' },
+    sk: { updated: 'Naposledy aktualizované: {date}', reviewed: 'Lekárska kontrola: {name} · {date}', readingTime: 'Čas čítania: {minutes}' },
+    ro: { updated: 'Ultima actualizare: {date}', reviewed: 'Revizuire medicală: {name} · {date}', readingTime: 'Timp de citire: {minutes}' },
+    hr: { updated: 'Zadnje ažurirano: {date}', reviewed: 'Medicinska provjera: {name} · {date}', readingTime: 'Vrijeme čitanja: {minutes}' },
+    hu: { updated: 'Utolsó frissítés: {date}', reviewed: 'Orvosi lektorálás: {name} · {date}', readingTime: 'Olvasási idő: {minutes}' },
+    uk: { updated: 'Оновлено: {date}', reviewed: 'Медична перевірка: {name} · {date}', readingTime: 'Час читання: {minutes}' },
+    ar: { updated: 'آخر تحديث: {date}', reviewed: 'مراجعة طبية: {name} · {date}', readingTime: 'مدة القراءة: {minutes}' },
+    he: { updated: 'עודכן לאחרונה: {date}', reviewed: 'בדיקה רפואית: {name} · {date}', readingTime: 'זמן קריאה: {minutes}' },
+    el: { updated: 'Τελευταία ενημέρωση: {date}', reviewed: 'Ιατρικός έλεγχος: {name} · {date}', readingTime: 'Χρόνος ανάγνωσης: {minutes}' },
+    tr: { updated: 'Son güncelleme: {date}', reviewed: 'Tıbbi inceleme: {name} · {date}', readingTime: 'Okuma süresi: {minutes}' },
+    th: { updated: 'อัปเดตล่าสุด: {date}', reviewed: 'ตรวจสอบทางการแพทย์: {name} · {date}', readingTime: 'เวลาอ่าน: {minutes}' },
+    vi: { updated: 'Cập nhật lần cuối: {date}', reviewed: 'Kiểm duyệt y khoa: {name} · {date}', readingTime: 'Thời gian đọc: {minutes}' },
+    ca: { updated: 'Última actualització: {date}', reviewed: 'Revisió mèdica: {name} · {date}', readingTime: 'Temps de lectura: {minutes}' }
+};
+
+// Reading speed behind the reading-time estimate (words per minute)
+const WORDS_PER_MINUTE = 220;
+
+const ROOT = __dirname;
+const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const PARTIALS_DIR = path.join(TEMPLATES_DIR, 'partials');
+const LAYOUTS_DIR = path.join(TEMPLATES_DIR, 'layouts');
+const DATA_DIR = path.join(ROOT, 'data');
+const MANIFEST_FILE = path.join(ROOT, '.build-manifest.json');
+
+// <link> tags for the generated favicon set, refreshed by each build()
+let headIcons = [];
+
+const args = process.argv.slice(2);
+const FULL_BUILD = args.includes('--full');
+const SERVE = args.includes('--serve');
+const WATCH = SERVE || args.includes('--watch');
+const PORT = parseInt((args.find(a => a.startsWith('--port=')) || '--port=8080').slice(7), 10);
+const STRICT = args.includes('--strict');
+
+/**
+ * Compile every .html file in dir, keyed by base name. Syntax errors are
+ * collected in errors instead of thrown, so one run reports all of them.
+ */
+function loadTemplateDir(dir, errors) {
+    const compiled = {};
+    if (!fs.existsSync(dir)) return compiled;
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.html')) continue;
+        const filePath = path.join(dir, file);
+        try {
+            compiled[path.basename(file, '.html')] =
+                compileTemplate(fs.readFileSync(filePath, 'utf8'), path.relative(ROOT, filePath));
+        } catch (err) {
+            errors.push(err.message);
+        }
+    }
+    return compiled;
+}
+
+function loadPartials(errors) {
+    return loadTemplateDir(PARTIALS_DIR, errors);
+}
+
+function loadTemplates(errors) {
+    return loadTemplateDir(TEMPLATES_DIR, errors);
+}
+
+function loadLayouts(errors) {
+    return loadTemplateDir(LAYOUTS_DIR, errors);
+}
+
+// ============================================================
+// Layouts
+//
+// A page template can start with {{extends "base"}} and then consist only of
+// {{#block name}}...{{/block}} overrides. The layout (templates/layouts/) marks
+// the overridable regions with the same block tags, whose content is the
+// default; {{super}} inside an override inserts that default. Layouts may
+// extend other layouts. A block tag alone on its line takes its line break
+// with it, so blocks don't leave blank lines behind.
+// ============================================================
+
+// Replace {{super}} in an override with the content it overrides
+function replaceSuper(nodes, fallback) {
+    const output = [];
+    for (const node of nodes) {
+        if (node.type === 'super') output.push(...fallback);
+        else output.push(mapChildren(node, children => replaceSuper(children, fallback)));
+    }
+    return output;
+}
+
+// Copy of a node with fn applied to each child list. Compiled layouts are
+// shared between templates, so expansion never modifies nodes in place.
+function mapChildren(node, fn) {
+    if (!node.body && !node.branches) return node;
+    const copy = { ...node };
+    if (node.body) copy.body = fn(node.body);
+    if (node.branches) copy.branches = node.branches.map(branch => ({ ...branch, body: fn(branch.body) }));
+    if (node.elseBody) copy.elseBody = fn(node.elseBody);
+    return copy;
+}
+
+/**
+ * Replace each block in a layout with its override (or its default
+ * content), recursing into blocks nested in the defaults.
+ */
+function fillBlocks(nodes, overrides, used) {
+    const output = [];
+    for (const node of nodes) {
+        if (node.type !== 'block') {
+            output.push(mapChildren(node, children => fillBlocks(children, overrides, used)));
+            continue;
+        }
+        const fallback = fillBlocks(node.body, overrides, used);
+        if (Object.prototype.hasOwnProperty.call(overrides, node.name)) {
+            used.add(node.name);
+            output.push(...replaceSuper(overrides[node.name].body, fallback));
+        } else {
+            output.push(...fallback);
+        }
+    }
+    return output;
+}
+
+/**
+ * Resolve {{extends}} for a compiled template, returning the flattened node
+ * list. chain collects the layout names used, outermost last.
+ */
+function expandLayouts(template, layouts, chain, overrides) {
+    overrides = overrides || {};
+    if (!template.layout) {
+        const used = new Set();
+        const body = fillBlocks(template.body, overrides, used);
+        const unknown = Object.keys(overrides).filter(name => !used.has(name));
+        if (unknown.length) {
+            throw templateError(overrides[unknown[0]].loc,
+                `Block(s) ${unknown.map(n => '"' + n + '"').join(', ')} not defined in layout "${chain[chain.length - 1]}"`);
+        }
+        walkNodes(body, node => {
+            if (node.type === 'super') throw templateError(node.loc, '{{super}} outside a {{#block}} override');
+        });
+        return body;
+    }
+
+    const layoutName = template.layout;
+    if (chain.includes(layoutName)) {
+        throw templateError(template.layoutLoc, `Layout "${layoutName}" extends itself (${chain.join(' → ')} → ${layoutName})`);
+    }
+    if (!layouts[layoutName]) {
+        throw templateError(template.layoutLoc, `Layout "${layoutName}" not found in templates/layouts/`);
+    }
+    chain.push(layoutName);
+
+    // This template's own blocks become overrides for the layout; overrides
+    // coming from further down keep priority, with {{super}} pointing here.
+    const combined = { ...overrides };
+    for (const node of template.body) {
+        if (node.type === 'block') {
+            combined[node.name] = Object.prototype.hasOwnProperty.call(overrides, node.name)
+                ? { body: replaceSuper(overrides[node.name].body, node.body), loc: overrides[node.name].loc }
+                : node;
+        } else if (node.type !== 'text' || node.value.trim()) {
+            throw templateError(node.loc, `Content outside {{#block}} in a template that extends "${layoutName}"`);
+        }
+    }
+
+    return expandLayouts(layouts[layoutName], layouts, chain, combined);
+}
+
+/**
+ * Convert a language code to proper BCP 47 format.
+ * Region subtags (2-letter, e.g., 'br' in 'pt-br') become uppercase.
+ * Script subtags (4-letter, e.g., 'Hans' in 'zh-Hans') stay as-is.
+ */
+function toBcp47(code) {
+    return code.replace(/-([a-zA-Z]{2})$/, (_, region) => '-' + region.toUpperCase());
+}
+
+// Extra browser-locale aliases that have no language folder of their own but
+// should still redirect to an existing one. Norwegian is reported by browsers
+// as 'nb', 'no' (macrolanguage) or 'nn' (Nynorsk); the site only ships Bokmål,
+// so 'no'/'nn' both map to /nb. Mirrors the app's no->nb mapping.
+const LANG_REDIRECT_ALIASES = [['no', '/nb'], ['nn', '/nb']];
+
+/**
+ * Build the [browserLocale, /prefix] map used by the client-side language
+ * redirect, derived from languages.json so there is a single source of truth.
+ * Regional variants (codes containing '-', e.g. pt-br, fr-ca) MUST come before
+ * their base language, otherwise a 'pt-br' browser locale matches the 'pt'
+ * entry first (via startsWith). Aliases are appended last (no collisions).
+ */
+function buildLangRedirectMap(languages, allowedLangs) {
+    const entries = Object.keys(languages)
+        .filter(code => code !== 'en' && languages[code].prefix)
+        .filter(code => !allowedLangs || allowedLangs.has(code))
+        .map(code => [code, languages[code].prefix]);
+    const regional = entries.filter(e => e[0].includes('-'));
+    const base = entries.filter(e => !e[0].includes('-'));
+    const aliases = LANG_REDIRECT_ALIASES.filter(([, prefix]) =>
+        !allowedLangs || allowedLangs.has(prefix.slice(1)));
+    return [...regional, ...base, ...aliases];
+}
+
+/**
+ * Generate the client-side language-redirect IIFE.
+ * home=true  -> homepage variant (redirects to the language home, no lang guard)
+ * home=false -> content-page variant (guards on lang==="en", preserves the path)
+ * allowedLangs -> optional Set restricting the map (partially translated pages)
+ */
+function langRedirectScript(languages, { home, allowedLangs } = {}) {
+    const mapLiteral = '[' + buildLangRedirectMap(languages, allowedLangs)
+        .map(([k, v]) => `["${k}","${v}"]`).join(',') + ']';
+    const guard = home ? '' : '\n  if(document.documentElement.lang!=="en")return;';
+    const target = home
+        ? 'map[i][1]+"/"'
+        : 'map[i][1]+window.location.pathname+window.location.search';
+    return `(function(){${guard}
+  if(document.cookie.indexOf("lang-chosen=1")!==-1)return;
+  var map=${mapLiteral};
+  var lang=(navigator.language||navigator.userLanguage||"").toLowerCase();
+  for(var i=0;i<map.length;i++){
+    if(lang===map[i][0]||lang.startsWith(map[i][0]+"-")){
+      document.cookie="lang-chosen=1;path=/;max-age=31536000";
+      window.location.replace(${target});
+      return;
+    }
+  }
+})();`;
+}
+
+/**
+ * Turn heading text into a URL fragment: tags and entities dropped, accents
+ * folded, every run of other characters collapsed to "-". Non-Latin letters
+ * are kept, so translated guides get readable anchors too.
+ */
+function headingSlug(text) {
+    const slug = String(text)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(?:#39|#x27|apos|rsquo);|['’]/g, '')
+        .replace(/&[#\w]+;/g, ' ')
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '').normalize('NFC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'section';
+}
+
+const SECTION_HEADING_RE = /<(h[23])(\s[^>]*)?>([\s\S]*?)<\/\1>/g;
+
+/**
+ * Give each guide section, and each <h2>/<h3> inside its HTML (html and any
+ * { html } blocks), an id, and collect them into a table of contents:
+ * [{ id, text, items: [{ id, text, level }] }]. Ids already in the HTML are
+ * kept; repeated headings get -2, -3… in document order, so ids only change
+ * when the heading does.
+ */
+function anchorGuideSections(sections) {
+    const used = new Set();
+    const uniqueId = text => {
+        const base = headingSlug(text);
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        used.add(id);
+        return id;
+    };
+    // Reserve hand-written ids first so generated ones can't collide with them
+    for (const section of sections) {
+        const blocks = section && Array.isArray(section.blocks) ? section.blocks : [];
+        for (const html of [section && section.html, ...blocks.map(block => block && block.html)]) {
+            for (const match of String(html || '').matchAll(SECTION_HEADING_RE)) {
+                const existing = /\sid="([^"]*)"/.exec(match[2] || '');
+                if (existing) used.add(existing[1]);
+            }
+        }
+    }
+
+    const toc = [];
+    const anchored = sections.map(section => {
+        if (!section || !section.heading) return section;
+        const entry = { id: uniqueId(section.heading), text: section.heading, items: [] };
+        toc.push(entry);
+        const anchor = html => typeof html === 'string'
+            ? html.replace(SECTION_HEADING_RE, (tag, name, attrs = '', inner) => {
+                const existing = /\sid="([^"]*)"/.exec(attrs);
+                const id = existing ? existing[1] : uniqueId(inner);
+                entry.items.push({ id, text: inner.replace(/<[^>]*>/g, ''), level: Number(name[1]) });
+                return existing ? tag : `<${name}${attrs} id="${id}">${inner}</${name}>`;
+            })
+            : html;
+        const result = { ...section, id: entry.id, html: anchor(section.html) };
+        if (Array.isArray(section.blocks)) {
+            result.blocks = section.blocks.map(block => block && block.html ? { ...block, html: anchor(block.html) } : block);
+        }
+        return result;
+    });
+    return { sections: anchored, toc };
+}
+
+const wordSegmenters = {};
+
+/**
+ * Count the words in rendered HTML. Intl.Segmenter finds word boundaries
+ * in scripts written without spaces (Japanese, Chinese, Thai) too.
+ */
+function countWords(html, lang) {
+    const code = toBcp47(lang);
+    if (!wordSegmenters[code]) wordSegmenters[code] = new Intl.Segmenter(code, { granularity: 'word' });
+    const text = String(html).replace(/<[^>]*>/g, ' ').replace(/&[#\w]+;/g, ' ');
+    let count = 0;
+    for (const segment of wordSegmenters[code].segment(text)) {
+        if (segment.isWordLike) count++;
+    }
+    return count;
+}
+
+function fillText(pattern, values) {
+    return pattern.replace(/\{(\w+)\}/g, (_, key) => values[key]);
+}
+
+// Locale screenshots sit next to the EN ones in a folder per locale, under
+// the same file name: /images/screenshots/bpt-1.png → /images/screenshots/de/bpt-1.png
+const SCREENSHOTS_URL = '/images/screenshots/';
+
+/**
+ * Where lang's own copy of an EN screenshot would be, as a site path, or
+ * null for EN and for images outside /images/screenshots/.
+ */
+function localeScreenshotPath(src, lang) {
+    if (lang === 'en' || typeof src !== 'string' || !src.startsWith(SCREENSHOTS_URL)) return null;
+    const name = src.slice(SCREENSHOTS_URL.length);
+    return name.includes('/') ? null : SCREENSHOTS_URL + lang + '/' + name;
+}
+
+/**
+ * The screenshot a page in lang shows: the locale's copy when it exists,
+ * otherwise the EN image.
+ */
+function localizedScreenshot(src, lang) {
+    const localePath = localeScreenshotPath(src, lang);
+    return localePath && fs.existsSync(path.join(ROOT, localePath)) ? localePath : src;
+}
+
+/**
+ * Print which locales still show EN screenshots on their app pages: every
+ * one of them (just the code), or some (with how many of how many).
+ */
+function reportScreenshotFallbacks(pages) {
+    const byLang = new Map(); // lang → { total, fallback }
+    for (const page of pages) {
+        const items = page.template === 'app-page' && page.lang !== 'en' &&
+            page.data && page.data.screenshots && page.data.screenshots.items;
+        if (!Array.isArray(items)) continue;
+        const counts = byLang.get(page.lang) || { total: 0, fallback: 0 };
+        for (const item of items) {
+            const localePath = localeScreenshotPath(item.src, page.lang);
+            counts.total++;
+            if (localePath && !fs.existsSync(path.join(ROOT, localePath))) counts.fallback++;
+        }
+        byLang.set(page.lang, counts);
+    }
+    const fallbacks = [...byLang].filter(([, counts]) => counts.fallback > 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([lang, counts]) => counts.fallback === counts.total ? lang : `${lang} (${counts.fallback} of ${counts.total})`);
+    if (!fallbacks.length) {
+        console.log('Screens:   every locale has its own screenshots');
+    } else {
+        console.log(`Screens:   EN screenshots in ${fallbacks.length} of ${byLang.size} locales: ${fallbacks.join(', ')}`);
+    }
+}
+
+/**
+ * The WebPage an Article is the main entity of. Medically reviewed guides
+ * carry reviewedBy (a name, or { name, jobTitle, url }) and lastReviewed,
+ * which schema.org puts on the page rather than the article.
+ */
+function guideWebPage(data, canonicalUrl) {
+    const webPage = { '@type': 'WebPage', '@id': canonicalUrl };
+    if (data.reviewedBy) {
+        const reviewer = typeof data.reviewedBy === 'string' ? { name: data.reviewedBy } : data.reviewedBy;
+        webPage.reviewedBy = { '@type': 'Person', ...reviewer };
+    }
+    if (data.lastReviewed) webPage.lastReviewed = data.lastReviewed;
+    return webPage;
+}
+
+/**
+ * Build the full context object for rendering a page.
  * Merges: site globals + language data + page-specific data
  */
-function buildContext(site, languages, page, appCatalog, guideAvailability) {
-    const lang = languages[page.lang];
-    const pagePath = page.path || '';
+function buildContext(site, languages, page, appCatalog, guideAvailability, pageAvailability) {
+    const lang = languages[page.lang];
+    const pagePath = page.path || '';
+
+    // Build language switcher entries
+    // Guide pages (page.enOnly) exist only in the locales that have an overlay
+    // file (page.availableLangs, computed in build()). Locales without one
+    // point at page.fallbackPath (e.g. the parent app page) instead of a URL
+    // that would 404. Untranslated guides degrade to EN-only automatically.
+    const availSet = page.enOnly ? new Set(page.availableLangs || [page.lang]) : null;
+    const langSwitcher = Object.keys(languages).map(code => {
+        const l = languages[code];
+        let url;
+        if (availSet && !availSet.has(code)) {
+            url = (l.prefix || '') + '/' + (page.fallbackPath ? page.fallbackPath + '/' : '');
+        } else if (pagePath === '') {
+            url = code === Object.keys(languages)[0] ? '/' : l.prefix + '/';
+        } else {
+            url = (l.prefix || '') + '/' + pagePath + '/';
+        }
+        return {
+            code,
+            hreflang: toBcp47(code),
+            name: l.name,
+            flag: l.flag,
+            url,
+            fullUrl: site.url + url,
+            isCurrent: code === page.lang
+        };
+    });
+
+    // hreflang cluster for guide pages: only the locales the page actually
+    // exists in, and only once there is more than one (a lone self-referencing
+    // EN link is pointless). Non-guide templates keep their full loop.
+    const pageHreflangs = (availSet && availSet.size > 1)
+        ? langSwitcher.filter(e => availSet.has(e.code))
+        : null;
+
+    // Build nav app links with "current" marker
+    const navApps = (lang.nav && lang.nav.apps) ? lang.nav.apps.map(app => ({
+        ...app,
+        url: (lang.prefix || '') + '/' + app.slug + '/',
+        // page.appSlug lets sub-pages (e.g. blood-pressure guides) highlight
+        // their parent app in the nav
+        isCurrent: app.slug === (page.appSlug || page.slug)
+    })) : [];
+
+    // Footer home link
+    const footerHomeUrl = pagePath === ''
+        ? ((lang.prefix || '') + '/' || '/')
+        : (lang.prefix || '') + '/' + pagePath + '/';
+
+    // Brand logo URL
+    const brandUrl = lang.prefix ? lang.prefix + '/' : '/';
+
+    // Canonical URL
+    const canonicalUrl = site.url + ((lang.prefix || '') + '/' + (pagePath ? pagePath + '/' : ''));
+
+    // x-default URL (English version)
+    const enLang = languages[Object.keys(languages)[0]];
+    const xDefaultUrl = site.url + '/' + (pagePath ? pagePath + '/' : '');
+
+    // Privacy URL for this language
+    const privacyUrl = (lang.prefix || '') + '/privacy/';
+
+    // og:locale mapping
+    const ogLocaleMap = {
+        'en':'en_US','de':'de_DE','es':'es_ES','it':'it_IT','ru':'ru_RU','ja':'ja_JP',
+        'fr':'fr_FR','ko':'ko_KR','pt-br':'pt_BR','zh-Hans':'zh_CN','sv':'sv_SE',
+        'nb':'nb_NO','da':'da_DK','fi':'fi_FI','ar':'ar_AR','ca':'ca_ES','cs':'cs_CZ',
+        'el':'el_GR','fr-ca':'fr_CA','he':'he_IL','hr':'hr_HR','hu':'hu_HU','nl':'nl_NL',
+        'pl':'pl_PL','pt':'pt_PT','ro':'ro_RO','sk':'sk_SK','th':'th_TH','tr':'tr_TR',
+        'uk':'uk_UA','vi':'vi_VN','zh-Hant':'zh_TW'
+    };
+    const ogLocale = ogLocaleMap[page.lang] || 'en_US';
+
+    const data = { ...page.data };
+
+    // Guides section (app pages): keep only the guides that exist in this
+    // page's language and prefix their URLs. Locales with no translated
+    // guides lose the whole section; EN always shows all of them.
+    if (data.guides && Array.isArray(data.guides.items) && guideAvailability) {
+        const langPrefix = lang.prefix || '';
+        const items = data.guides.items
+            .filter(item => {
+                const guidePath = (item.url || '').replace(/^\//, '').replace(/\/$/, '');
+                const avail = guideAvailability[guidePath];
+                return avail && avail.has(page.lang);
+            })
+            .map(item => ({ ...item, url: langPrefix + item.url }));
+        if (items.length > 0) {
+            data.guides = { ...data.guides, items };
+        } else {
+            delete data.guides;
+        }
+    }
+
+    // Screenshots: the locale's own images where there are any, with their
+    // real size for the <img> width/height
+    if (data.screenshots && Array.isArray(data.screenshots.items)) {
+        data.screenshots = {
+            ...data.screenshots,
+            items: data.screenshots.items.map(item => {
+                const src = localizedScreenshot(item.src, page.lang);
+                const dims = resolveOgImageDims(src, site.url);
+                return { ...item, src, width: dims && dims.width, height: dims && dims.height };
+            })
+        };
+    }
+
+    // Auto-detect og:image dimensions for social card meta tags
+    if (data.meta && data.meta.ogImage && !data.meta.ogImageWidth) {
+        const dims = resolveOgImageDims(data.meta.ogImage, site.url);
+        if (dims) {
+            data.meta = { ...data.meta, ogImageWidth: dims.width, ogImageHeight: dims.height };
+        }
+    }
+
+    // Auto-generate SEO schemas from page content where missing
+    data.structuredData = Array.isArray(data.structuredData) ? [...data.structuredData] : [];
+
+    // FAQPage schema — generated from whatever questions the page actually
+    // renders, so the schema can never drift from the visible content and each
+    // locale gets its own translated schema instead of inheriting EN's.
+    //
+    // Two shapes carry questions: app/index pages use data.faq.items, and the
+    // FAQ page (faq-page template) nests them under data.sections[].items[].
+    const faqSources = [];
+    if (data.faq && Array.isArray(data.faq.items)) {
+        faqSources.push(...data.faq.items);
+    }
+    if (Array.isArray(data.sections)) {
+        for (const section of data.sections) {
+            if (section && Array.isArray(section.items)) faqSources.push(...section.items);
+        }
+    }
+    const faqItems = faqSources.filter(i => i && i.question && i.answer);
+    if (faqItems.length > 0) {
+        const hasFAQ = data.structuredData.some(b => b && b['@type'] === 'FAQPage');
+        if (!hasFAQ) {
+            data.structuredData.push({
+                '@context': 'https://schema.org',
+                '@type': 'FAQPage',
+                mainEntity: faqItems.map(item => ({
+                    '@type': 'Question',
+                    name: stripMarkdown(item.question),
+                    acceptedAnswer: {
+                        '@type': 'Answer',
+                        text: stripMarkdown(item.answer)
+                    }
+                }))
+            });
+        }
+    }
+
+    // Review items — inject into the first SoftwareApplication/MobileApplication block
+    if (data.reviews && Array.isArray(data.reviews.items) && data.reviews.items.length > 0) {
+        const appBlock = data.structuredData.find(b =>
+            b && (b['@type'] === 'SoftwareApplication' || b['@type'] === 'MobileApplication')
+        );
+        if (appBlock && !appBlock.review) {
+            appBlock.review = data.reviews.items.map(item => ({
+                '@type': 'Review',
+                reviewRating: { '@type': 'Rating', ratingValue: 5, bestRating: 5 },
+                author: { '@type': 'Person', name: (item.author || '').split(',')[0].trim() || 'Anonymous' },
+                name: item.title,
+                reviewBody: item.content
+            }));
+        }
+    }
+
+    // BreadcrumbList — tips pages get Home > {App} > Tips
+    if (page.template === 'tips-page' && page.slug) {
+        const hasBreadcrumb = data.structuredData.some(b => b && b['@type'] === 'BreadcrumbList');
+        if (!hasBreadcrumb) {
+            const langPrefix = lang.prefix || '';
+            const homeUrl = site.url + (langPrefix ? langPrefix + '/' : '/');
+            const appUrl = site.url + langPrefix + '/' + page.slug + '/';
+            const tipsUrl = site.url + langPrefix + '/' + page.slug + '/tips/';
+            const navApp = (lang.nav && lang.nav.apps) ? lang.nav.apps.find(a => a.slug === page.slug) : null;
+            const appName = navApp ? navApp.name : page.slug;
+            const tipsLabel = (data.hero && data.hero.title) ? data.hero.title : 'Tips';
+            data.structuredData.push({
+                '@context': 'https://schema.org',
+                '@type': 'BreadcrumbList',
+                itemListElement: [
+                    { '@type': 'ListItem', position: 1, name: BREADCRUMB_HOME[page.lang] || BREADCRUMB_HOME.en, item: homeUrl },
+                    { '@type': 'ListItem', position: 2, name: appName, item: appUrl },
+                    { '@type': 'ListItem', position: 3, name: tipsLabel, item: tipsUrl }
+                ]
+            });
+        }
+    }
+
+    // Guide pages (EN-only SEO articles) — heading anchors and table of
+    // contents, then BreadcrumbList + Article schema
+    if (page.template === 'guide-page') {
+        const langPrefix = lang.prefix || '';
+        if (Array.isArray(data.sections)) {
+            const { sections, toc } = anchorGuideSections(data.sections);
+            data.sections = sections;
+            data.toc = toc;
+            data.tocTitle = data.tocTitle || TOC_TITLE[page.lang] || TOC_TITLE.en;
+        }
+
+        // Header lines come from the dates, so they can't drift from them.
+        // A hand-written updatedText only stands in when dateModified is missing.
+        const metaText = GUIDE_META_TEXT[page.lang] || GUIDE_META_TEXT.en;
+        const formatDate = (value, format) => new Intl.DateTimeFormat(toBcp47(page.lang),
+            { ...DATE_FORMATS[format], timeZone: 'UTC' }).format(parseDate(value));
+        if (data.dateModified) {
+            data.updatedText = fillText(metaText.updated, { date: formatDate(data.dateModified, 'month') });
+        }
+        if (data.reviewedBy && data.lastReviewed) {
+            const reviewer = typeof data.reviewedBy === 'string' ? { name: data.reviewedBy } : data.reviewedBy;
+            data.reviewedText = fillText(metaText.reviewed, {
+                name: reviewer.name,
+                date: formatDate(data.lastReviewed, 'long')
+            });
+        }
+
+        // Word count and reading time from what the page actually renders,
+        // comparison tables and callouts included
+        const blockText = block => {
+            if (!block) return '';
+            const table = block.table || {};
+            const callout = block.callout || {};
+            return [block.html, table.caption, ...(table.headers || []), ...[].concat(...(table.rows || [])),
+                callout.title, callout.text].filter(Boolean).join(' ');
+        };
+        const sectionText = section => section
+            ? [section.html, ...(Array.isArray(section.blocks) ? section.blocks.map(blockText) : [])].filter(Boolean).join(' ')
+            : '';
+        const articleHtml = [(data.hero && data.hero.lead) || '', ...(data.sections || []).map(sectionText)].join(' ');
+        data.wordCount = countWords(articleHtml, page.lang);
+        data.readingMinutes = Math.max(1, Math.round(data.wordCount / WORDS_PER_MINUTE));
+        data.readingTimeText = fillText(metaText.readingTime, {
+            minutes: new Intl.NumberFormat(toBcp47(page.lang), { style: 'unit', unit: 'minute', unitDisplay: 'long' })
+                .format(data.readingMinutes)
+        });
+        // Crumb names are the ones the page shows, so they come out in the
+        // page's language; nav names cover a breadcrumb without them
+        if (data.breadcrumb && !data.structuredData.some(b => b && b['@type'] === 'BreadcrumbList')) {
+            const navApp = (lang.nav && lang.nav.apps) ? lang.nav.apps.find(a => a.slug === page.appSlug) : null;
+            data.structuredData.push({
+                '@context': 'https://schema.org',
+                '@type': 'BreadcrumbList',
+                itemListElement: [
+                    { '@type': 'ListItem', position: 1, name: data.breadcrumb.home || BREADCRUMB_HOME[page.lang] || BREADCRUMB_HOME.en,
+                        item: site.url + (langPrefix ? langPrefix + '/' : '/') },
+                    { '@type': 'ListItem', position: 2, name: data.breadcrumb.app || (navApp && navApp.name),
+                        item: site.url + langPrefix + data.breadcrumb.appUrl },
+                    { '@type': 'ListItem', position: 3, name: data.breadcrumb.current, item: canonicalUrl }
+                ]
+            });
+        }
+        if (!data.structuredData.some(b => b && b['@type'] === 'Article')) {
+            data.structuredData.push({
+                '@context': 'https://schema.org',
+                '@type': 'Article',
+                headline: (data.hero && data.hero.title) || (data.meta && data.meta.title),
+                description: data.meta && data.meta.description,
+                image: data.meta && data.meta.ogImage,
+                datePublished: data.datePublished,
+                dateModified: data.dateModified || data.datePublished,
+                inLanguage: toBcp47(page.lang),
+                author: { '@type': 'Organization', name: site.author, url: site.url },
+                publisher: { '@type': 'Organization', name: site.author, url: site.url,
+                    logo: { '@type': 'ImageObject', url: site.url + '/images/feeltracker-icon.png' } },
+                wordCount: data.wordCount,
+                timeRequired: `PT${data.readingMinutes}M`,
+                mainEntityOfPage: guideWebPage(data, canonicalUrl),
+                // Section outline, so search results can deep-link into the article
+                hasPart: data.toc && data.toc.length ? {
+                    '@type': 'ItemList',
+                    name: data.tocTitle,
+                    itemListElement: data.toc.map((entry, i) => ({
+                        '@type': 'ListItem',
+                        position: i + 1,
+                        name: entry.text,
+                        url: canonicalUrl + '#' + entry.id
+                    }))
+                } : undefined
+            });
+        }
+    }
+
+    // An Article is in the page's language. Overlays that translate its
+    // headline still inherit inLanguage from the EN block otherwise.
+    data.structuredData = data.structuredData.map(block =>
+        (block && block['@type'] === 'Article' && block.inLanguage !== toBcp47(page.lang))
+            ? { ...block, inLanguage: toBcp47(page.lang) }
+            : block);
+
+    // Related apps — cross-link from app pages to the other apps
+    if (page.template === 'app-page' && appCatalog && lang.nav && lang.nav.apps) {
+        const langPrefix = lang.prefix || '';
+        data.relatedApps = lang.nav.apps
+            .filter(a => a.slug !== page.slug && appCatalog[a.slug])
+            .map(a => ({
+                slug: a.slug,
+                name: a.name,
+                url: langPrefix + '/' + a.slug + '/',
+                iconSrc: appCatalog[a.slug].iconSrc,
+                appId: appCatalog[a.slug].appId
+            }));
+        data.relatedAppsTitle = RELATED_APPS_TITLE[page.lang] || RELATED_APPS_TITLE.en;
+    }
+
+    const hasGame = typeof data.santaScript === 'string' && data.santaScript.trim().length > 0;
+
+    return {
+        site,
+        lang,
+        htmlLang: toBcp47(page.lang),
+        langPrefix: lang.prefix || '',
+        linkLocale: {
+            lang: page.lang,
+            prefix: lang.prefix || '',
+            siteUrl: site.url,
+            pageAvailability: pageAvailability || {}
+        },
+        langSwitcher,
+        navApps,
+        brandUrl,
+        footerHomeUrl,
+        canonicalUrl,
+        xDefaultUrl,
+        footer: lang.footer,
+        cookie: lang.cookie,
+        privacyUrl,
+        ogLocale,
+        hasGame,
+        headIcons,
+        enOnly: !!page.enOnly,
+        pageHreflangs,
+        ...data,
+        // Computed after ...data so it always wins over any stale field.
+        // Guide pages redirect only to locales the guide exists in (empty map
+        // = no script); a redirect to an untranslated locale would 404.
+        langRedirectScript: page.enOnly
+            ? ((page.lang === Object.keys(languages)[0] && availSet.size > 1)
+                ? langRedirectScript(languages, { home: false, allowedLangs: availSet })
+                : '')
+            : langRedirectScript(languages, { home: page.template === 'index-page' })
+    };
+}
+
+/**
+ * Deep-merge a base object with an overlay object.
+ * - Objects: overlay keys override base keys, recurse for nested objects
+ * - Arrays: positional merge (item 0 with item 0, etc.), uses longer array
+ * - Scalars: overlay wins
+ * - undefined in overlay: use base value
+ * - null in overlay: explicitly set to null
+ */
+function deepMerge(base, overlay) {
+    if (overlay === undefined) return base;
+    if (overlay === null) return null;
+    if (typeof base !== 'object' || base === null) return overlay;
+    if (typeof overlay !== 'object') return overlay;
+
+    if (Array.isArray(base) && Array.isArray(overlay)) {
+        // Overlay array length wins — if translation has 6 reviews, keep 6
+        // (don't pad with untranslated EN items)
+        // Within each item, deep merge to fill in structural fields from base
+        const result = [];
+        for (let i = 0; i < overlay.length; i++) {
+            if (i < base.length) {
+                result.push(deepMerge(base[i], overlay[i]));
+            } else {
+                result.push(overlay[i]);
+            }
+        }
+        return result;
+    }
+    if (Array.isArray(base) !== Array.isArray(overlay)) {
+        console.warn('  Warning: type mismatch in deepMerge (array vs object), overlay wins');
+        return overlay;
+    }
+
+    const result = { ...base };
+    for (const key of Object.keys(overlay)) {
+        result[key] = deepMerge(base[key], overlay[key]);
+    }
+    return result;
+}
+
+function ensureDir(filePath) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+}
+
+// ============================================================
+// Hard-coded Text
+//
+// Every word a visitor reads has to come from data so that each locale can
+// translate it. lintTemplateText() looks through the compiled templates
+// (layouts expanded) and partials for literal text: text between tags and
+// alt/title/aria-label values, less the substitutions in them. Brand names
+// in TEMPLATE_TEXT_EXEMPT don't count.
+// ============================================================
+
+// Names that stay the same in every language (matched case-insensitively)
+const TEMPLATE_TEXT_EXEMPT = [
+    'Feeltracker', 'Custom Arts', 'Apple Health', 'Apple Intelligence', 'App Store',
+    'Apple', 'iCloud', 'iPhone', 'iPad', 'Mac', 'iOS', 'iPadOS', 'macOS'
+];
+
+const TEXT_LINT_TAG_RE = /<[a-zA-Z!\/][^>]*>/g;
+const TEXT_LINT_ATTR_RE = /\s(alt|title|aria-label)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const TEXT_LINT_SKIP_RE = /<script\b[\s\S]*?<\/script\s*>|<style\b[\s\S]*?<\/style\s*>|<!--[\s\S]*?-->/gi;
+const TEXT_LINT_ENTITY_RE = /&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi;
+const TEXT_LINT_EXEMPT_RE = new RegExp([...TEMPLATE_TEXT_EXEMPT]
+    .sort((a, b) => b.length - a.length)
+    .map(name => '(?<![\\p{L}\\p{N}])' + name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?![\\p{L}\\p{N}])')
+    .join('|'), 'giu');
+
+// Whether a piece of literal text has anything a reader would need translated
+function isReadableText(text) {
+    return /\p{L}{2,}/u.test(text.replace(TEXT_LINT_ENTITY_RE, ' ').replace(TEXT_LINT_EXEMPT_RE, ' '));
+}
+
+/**
+ * Flatten compiled nodes into the literal source text they hold, with
+ * "\u0000" wherever a substitution, partial or block boundary splits it.
+ * segments records where each text node landed, for finding its line.
+ */
+function flattenTemplateText(nodes, out) {
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out.segments.push({ start: out.text.length, node });
+            out.text += node.value;
+            continue;
+        }
+        out.text += '\u0000';
+        for (const body of [node.body, ...(node.branches || []).map(branch => branch.body), node.elseBody]) {
+            if (!body) continue;
+            flattenTemplateText(body, out);
+            out.text += '\u0000';
+        }
+    }
+    return out;
+}
+
+/**
+ * Literal human-readable text in a compiled template, as
+ * [{ file, line, text, attr }] (attr names the attribute for attribute
+ * values). <script>, <style> and comments are skipped.
+ */
+function findHardcodedText(nodes) {
+    const { text, segments } = flattenTemplateText(nodes, { text: '', segments: [] });
+    // Blank out what to skip without moving anything after it
+    const masked = text.replace(TEXT_LINT_SKIP_RE, skipped => ' '.repeat(skipped.length));
+    const locate = offset => {
+        let seg = segments[0];
+        for (const candidate of segments) {
+            if (candidate.start > offset) break;
+            seg = candidate;
+        }
+        const before = seg.node.value.slice(0, offset - seg.start);
+        return { file: seg.node.loc.file, line: seg.node.loc.line + before.split('\n').length - 1 };
+    };
+    const found = [];
+    const check = (chunk, offset, attr) => {
+        let pieceStart = offset;
+        for (const piece of chunk.split('\u0000')) {
+            const lead = piece.length - piece.trimStart().length;
+            const trimmed = piece.replace(/\s+/g, ' ').trim();
+            if (isReadableText(trimmed)) found.push({ ...locate(pieceStart + lead), text: trimmed, attr });
+            pieceStart += piece.length + 1;
+        }
+    };
+
+    let pos = 0;
+    for (const tag of masked.matchAll(TEXT_LINT_TAG_RE)) {
+        check(masked.slice(pos, tag.index), pos);
+        for (const attr of tag[0].matchAll(TEXT_LINT_ATTR_RE)) {
+            const value = attr[2] != null ? attr[2] : attr[3];
+            check(value, tag.index + attr.index + attr[0].length - value.length - 1, attr[1].toLowerCase());
+        }
+        pos = tag.index + tag[0].length;
+    }
+    check(masked.slice(pos), pos);
+    return found;
+}
+
+/**
+ * Warn about hard-coded text in the templates (and the layouts they
+ * extend) and partials, as file:line. Layout text shared by several
+ * templates is reported once. Returns the number of warnings.
+ */
+function lintTemplateText(templates, partials) {
+    const seen = new Set();
+    for (const template of [...Object.values(templates), ...Object.values(partials)]) {
+        for (const hit of findHardcodedText(template.body)) {
+            const where = hit.attr ? `${hit.attr} text` : 'text';
+            const message = `${hit.file}:${hit.line}: hard-coded ${where} ${JSON.stringify(hit.text)}`;
+            if (seen.has(message)) continue;
+            seen.add(message);
+            console.warn(`  Warning: ${message}`);
+        }
+    }
+    if (seen.size) {
+        console.warn('  (Move the text into the page data or languages.json, or add brand names to TEMPLATE_TEXT_EXEMPT in build.js.)');
+    }
+    return seen.size;
+}
+
+// ============================================================
+// Markdown Guides
+// ============================================================
+
+// Front-matter keys that describe the page itself; everything else is page data
+const GUIDE_PAGE_FIELDS = new Set(['template', 'slug', 'path', 'outputPath', 'enOnly', 'appSlug', 'fallbackPath', 'appId']);
+
+const FRONT_MATTER_KEY_RE = /^([\w$-]+):(?:[ \t]+(.*?))?[ \t]*$/;
+
+/**
+ * Parse one front-matter scalar. Double-quoted strings use JSON escapes,
+ * single-quoted ones double a literal quote (''); true/false/null, numbers
+ * and the empty collections [] and {} are typed, anything else is a string.
+ */
+function parseFrontMatterScalar(text, where) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new Error(`${where}: invalid double-quoted string`);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(text)) throw new Error(`${where}: invalid single-quoted string`);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (text === 'null' || text === '~') return null;
+    if (text === '[]') return [];
+    if (text === '{}') return {};
+    if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+/**
+ * Parse the YAML subset guide front matter uses: nested maps by indentation,
+ * "- " lists (of scalars or maps), quoted and plain scalars, and "|" / ">"
+ * block scalars for multi-line text. Comments are whole lines starting
+ * with "#"; there are no inline comments, anchors or flow collections.
+ *
+ * @param {string} source - front matter without the --- fences
+ * @param {string} file - repo-relative path, for error messages
+ * @param {number} firstLine - line number of the first front-matter line
+ */
+function parseFrontMatter(source, file, firstLine) {
+    const lines = source.split('\n').map((text, i) => ({
+        text: text.replace(/\s+$/, ''),
+        line: firstLine + i
+    }));
+    const where = entry => `${file}:${entry.line}`;
+    const indentOf = entry => entry.text.match(/^ */)[0].length;
+    const skippable = entry => entry.text.trim() === '' || entry.text.trim().startsWith('#');
 
-    // Build language switcher entries
-    // Guide pages (page.enOnly) exist only in the locales that have an overlay
-    // file (page.availableLangs, computed in build()). Locales without one
-    // point at page.fallbackPath (e.g. the parent app page) instead of a URL
-    // that would 404. Untranslated guides degrade to EN-only automatically.
-    const availSet = page.enOnly ? new Set(page.availableLangs || [page.lang]) : null;
-    const langSwitcher = Object.keys(languages).map(code => {
-        const l = languages[code];
-        let url;
-        if (availSet && !availSet.has(code)) {
-            url = (l.prefix || '') + '/' + (page.fallbackPath ? page.fallbackPath + '/' : '');
-        } else if (pagePath === '') {
-            url = code === Object.keys(languages)[0] ? '/' : l.prefix + '/';
-        } else {
-            url = (l.prefix || '') + '/' + pagePath + '/';
+    let pos = 0;
+    const nextContent = () => {
+        while (pos < lines.length && skippable(lines[pos])) pos++;
+        return pos < lines.length ? lines[pos] : null;
+    };
+
+    // "|" keeps line breaks, ">" folds lines into one paragraph per blank line
+    function parseBlockScalar(style, parentIndent) {
+        const body = [];
+        while (pos < lines.length) {
+            const entry = lines[pos];
+            if (entry.text.trim() !== '' && indentOf(entry) <= parentIndent) break;
+            body.push(entry.text);
+            pos++;
         }
-        return {
-            code,
-            hreflang: toBcp47(code),
-            name: l.name,
-            flag: l.flag,
-            url,
-            fullUrl: site.url + url,
-            isCurrent: code === page.lang
-        };
-    });
+        while (body.length && body[body.length - 1].trim() === '') body.pop();
+        const indent = Math.min(...body.filter(text => text.trim()).map(text => text.match(/^ */)[0].length));
+        const text = body.map(line => line.slice(indent));
+        if (style === '|') return text.join('\n');
+        return text.join('\n').split(/\n{2,}/).map(para => para.replace(/\n/g, ' ')).join('\n');
+    }
 
-    // hreflang cluster for guide pages: only the locales the page actually
-    // exists in, and only once there is more than one (a lone self-referencing
-    // EN link is pointless). Non-guide templates keep their full loop.
-    const pageHreflangs = (availSet && availSet.size > 1)
-        ? langSwitcher.filter(e => availSet.has(e.code))
-        : null;
+    // Value after "key:" or "- ": inline scalar, block scalar or nested block
+    function parseValue(rest, entry, parentIndent) {
+        if (rest === '|' || rest === '>') return parseBlockScalar(rest, parentIndent);
+        if (rest !== undefined && rest !== '') return parseFrontMatterScalar(rest, where(entry));
+        const child = nextContent();
+        if (!child) return null;
+        const childIndent = indentOf(child);
+        // A list may sit at its key's own indentation, as YAML allows
+        if (childIndent > parentIndent || (childIndent === parentIndent && child.text.trim().startsWith('- '))) {
+            return parseNode(childIndent);
+        }
+        return null;
+    }
 
-    // Build nav app links with "current" marker
-    const navApps = (lang.nav && lang.nav.apps) ? lang.nav.apps.map(app => ({
-        ...app,
-        url: (lang.prefix || '') + '/' + app.slug + '/',
-        // page.appSlug lets sub-pages (e.g. blood-pressure guides) highlight
-        // their parent app in the nav
-        isCurrent: app.slug === (page.appSlug || page.slug)
-    })) : [];
+    function parseNode(indent) {
+        const first = nextContent();
+        return first.text.trim() === '-' || first.text.trim().startsWith('- ')
+            ? parseList(indent)
+            : parseMap(indent);
+    }
 
-    // Footer home link
-    const footerHomeUrl = pagePath === ''
-        ? ((lang.prefix || '') + '/' || '/')
-        : (lang.prefix || '') + '/' + pagePath + '/';
+    function parseMap(indent) {
+        const map = {};
+        for (let entry = nextContent(); entry && indentOf(entry) === indent; entry = nextContent()) {
+            const trimmed = entry.text.trim();
+            if (trimmed === '-' || trimmed.startsWith('- ')) break;
+            const match = trimmed.match(FRONT_MATTER_KEY_RE);
+            if (!match) throw new Error(`${where(entry)}: expected "key: value", got "${trimmed}"`);
+            if (Object.prototype.hasOwnProperty.call(map, match[1])) {
+                throw new Error(`${where(entry)}: duplicate key "${match[1]}"`);
+            }
+            pos++;
+            map[match[1]] = parseValue(match[2], entry, indent);
+        }
+        return map;
+    }
 
-    // Brand logo URL
-    const brandUrl = lang.prefix ? lang.prefix + '/' : '/';
+    function parseList(indent) {
+        const list = [];
+        for (let entry = nextContent(); entry && indentOf(entry) === indent; entry = nextContent()) {
+            const trimmed = entry.text.trim();
+            if (trimmed !== '-' && !trimmed.startsWith('- ')) break;
+            const rest = trimmed.slice(1).trim();
+            if (FRONT_MATTER_KEY_RE.test(rest) && !/^["']/.test(rest)) {
+                // "- key: value" opens a map whose keys line up after the dash
+                lines[pos] = { text: ' '.repeat(indent + 2) + rest, line: entry.line };
+                list.push(parseMap(indent + 2));
+            } else {
+                pos++;
+                list.push(parseValue(rest, entry, indent));
+            }
+        }
+        return list;
+    }
 
-    // Canonical URL
-    const canonicalUrl = site.url + ((lang.prefix || '') + '/' + (pagePath ? pagePath + '/' : ''));
+    const first = nextContent();
+    if (!first) return {};
+    if (indentOf(first) !== 0) throw new Error(`${where(first)}: front matter must start at column 1`);
+    const result = parseNode(0);
+    const stray = nextContent();
+    if (stray) throw new Error(`${where(stray)}: unexpected indentation`);
+    if (Array.isArray(result)) throw new Error(`${file}:${firstLine}: front matter must be a map, not a list`);
+    return result;
+}
 
-    // x-default URL (English version)
-    const enLang = languages[Object.keys(languages)[0]];
-    const xDefaultUrl = site.url + '/' + (pagePath ? pagePath + '/' : '');
+/**
+ * Split a guide's markdown body into the hero lead (everything before the
+ * first "## " heading) and one { heading, html } section per "## " heading.
+ * Headings inside fenced code blocks don't count.
+ */
+function splitGuideBody(body) {
+    const intro = [];
+    const sections = [];
+    let current = null;
+    let fence = null;
+    for (const line of body.split('\n')) {
+        const fenceMatch = line.match(MD_FENCE_RE);
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !fenceMatch[2]) fence = null;
+        } else if (fenceMatch) {
+            fence = fenceMatch[1];
+        } else {
+            const heading = line.match(MD_HEADING_RE);
+            if (heading && heading[1] === '##') {
+                current = { heading: (heading[2] || '').trim(), lines: [] };
+                sections.push(current);
+                continue;
+            }
+        }
+        (current ? current.lines : intro).push(line);
+    }
+    // Footnote ids are prefixed with the section's anchor (see headingSlug)
+    const prefixes = new Set(['intro']);
+    return {
+        lead: intro.join('\n').trim() ? markdownToHtml(intro.join('\n'), undefined, 'intro') : '',
+        sections: sections.map(section => {
+            const base = headingSlug(section.heading);
+            let prefix = base;
+            for (let n = 2; prefixes.has(prefix); n++) prefix = `${base}-${n}`;
+            prefixes.add(prefix);
+            return { heading: section.heading, html: markdownToHtml(section.lines.join('\n'), undefined, prefix) };
+        })
+    };
+}
 
-    // Privacy URL for this language
-    const privacyUrl = (lang.prefix || '') + '/privacy/';
+/**
+ * Load a markdown guide (data/en/guides/*.md) as an EN page object, the same
+ * shape a *.guide.json file has. Front matter between --- fences holds the
+ * page fields (template, slug, path, appSlug, ...) and the page data (meta,
+ * datePublished, breadcrumb, faq, ...); the body becomes hero.lead and
+ * sections[]. Defaults: template "guide-page", slug from the file name,
+ * outputPath from path, enOnly true.
+ */
+function loadMarkdownGuide(relPath) {
+    const source = fs.readFileSync(path.join(ROOT, relPath), 'utf8').replace(/\r\n?/g, '\n');
+    const match = source.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+    if (!match) throw new Error(`${relPath}:1: missing front matter (--- fences at the top of the file)`);
+    const attrs = parseFrontMatter(match[1], relPath, 2);
+    const { lead, sections } = splitGuideBody(source.slice(match[0].length));
+
+    const page = { template: 'guide-page', lang: 'en', slug: path.basename(relPath, '.md'), enOnly: true };
+    const data = {};
+    for (const [key, value] of Object.entries(attrs)) {
+        if (GUIDE_PAGE_FIELDS.has(key)) page[key] = value;
+        else data[key] = value;
+    }
+    if (!page.path) throw new Error(`${relPath}: front matter has no "path"`);
+    if (!page.outputPath) page.outputPath = `${page.path}/index.html`;
+    if (lead) data.hero = { ...data.hero, lead };
+    if (sections.length) data.sections = sections;
+    page.data = data;
+    return page;
+}
 
-    // og:locale mapping
-    const ogLocaleMap = {
-        'en':'en_US','de':'de_DE','es':'es_ES','it':'it_IT','ru':'ru_RU','ja':'ja_JP',
-        'fr':'fr_FR','ko':'ko_KR','pt-br':'pt_BR','zh-Hans':'zh_CN','sv':'sv_SE',
-        'nb':'nb_NO','da':'da_DK','fi':'fi_FI','ar':'ar_AR','ca':'ca_ES','cs':'cs_CZ',
-        'el':'el_GR','fr-ca':'fr_CA','he':'he_IL','hr':'hr_HR','hu':'hu_HU','nl':'nl_NL',
-        'pl':'pl_PL','pt':'pt_PT','ro':'ro_RO','sk':'sk_SK','th':'th_TH','tr':'tr_TR',
-        'uk':'uk_UA','vi':'vi_VN','zh-Hant':'zh_TW'
-    };
-    const ogLocale = ogLocaleMap[page.lang] || 'en_US';
+// ============================================================
+// Structured Data Validation
+// ============================================================
 
-    // Generate structuredDataHtml from structuredData JSON array (if present)
-    const data = { ...page.data };
+// Properties each JSON-LD block type needs (required) or should have
+// (recommended), after Google's rich result guidelines. "a|b" is satisfied
+// by either property. SoftwareApplication follows the MobileApplication rules.
+const SCHEMA_BLOCK_RULES = {
+    MobileApplication: {
+        required: ['name', 'offers', 'aggregateRating|review'],
+        recommended: ['applicationCategory', 'operatingSystem', 'aggregateRating']
+    },
+    Article: {
+        required: ['headline'],
+        recommended: ['image', 'datePublished', 'dateModified', 'author', 'publisher']
+    },
+    FAQPage: { required: ['mainEntity'], recommended: [] },
+    BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+    Organization: { required: ['name', 'url'], recommended: ['logo'] }
+};
+SCHEMA_BLOCK_RULES.SoftwareApplication = SCHEMA_BLOCK_RULES.MobileApplication;
+
+// The same for objects nested inside a block, wherever they appear
+const SCHEMA_NESTED_RULES = {
+    AggregateRating: { required: ['ratingValue', 'ratingCount|reviewCount'], recommended: ['bestRating', 'worstRating'] },
+    Offer: { required: ['price', 'priceCurrency'], recommended: [] },
+    Question: { required: ['name', 'acceptedAnswer'], recommended: [] },
+    Answer: { required: ['text'], recommended: [] },
+    ListItem: { required: ['position', 'name'], recommended: [] },
+    Review: { required: ['author', 'reviewRating'], recommended: ['reviewBody'] },
+    Rating: { required: ['ratingValue'], recommended: [] },
+    Person: { required: ['name'], recommended: [] },
+    Organization: { required: ['name'], recommended: [] },
+    ImageObject: { required: ['url'], recommended: [] }
+};
 
-    // Guides section (app pages): keep only the guides that exist in this
-    // page's language and prefix their URLs. Locales with no translated
-    // guides lose the whole section; EN always shows all of them.
-    if (data.guides && Array.isArray(data.guides.items) && guideAvailability) {
-        const langPrefix = lang.prefix || '';
-        const items = data.guides.items
-            .filter(item => {
-                const guidePath = (item.url || '').replace(/^\//, '').replace(/\/$/, '');
-                const avail = guideAvailability[guidePath];
-                return avail && avail.has(page.lang);
-            })
-            .map(item => ({ ...item, url: langPrefix + item.url }));
-        if (items.length > 0) {
-            data.guides = { ...data.guides, items };
-        } else {
-            delete data.guides;
+// Properties whose values search engines resolve as URLs; relative ones
+// don't resolve against the page in JSON-LD
+const SCHEMA_URL_PROPS = new Set(['@id', 'url', 'item', 'logo', 'image', 'screenshot', 'sameAs',
+    'downloadUrl', 'installUrl', 'contentUrl', 'thumbnailUrl']);
+
+function isEmptySchemaValue(value) {
+    return value == null || (typeof value === 'string' && !value.trim()) ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+function checkSchemaProps(node, rules, where, issues) {
+    for (const [level, props] of [['error', rules.required], ['warning', rules.recommended]]) {
+        for (const spec of props) {
+            const alternatives = spec.split('|');
+            if (alternatives.some(prop => !isEmptySchemaValue(node[prop]))) continue;
+            const present = alternatives.find(prop => prop in node && node[prop] !== undefined);
+            const what = present ? `${where}.${present} is empty` : `${where}.${alternatives.join(' or ')} is missing`;
+            issues.push({ level, message: level === 'error' ? what : what + ' (recommended)' });
         }
     }
+}
 
-    // Auto-detect og:image dimensions for social card meta tags
-    if (data.meta && data.meta.ogImage && !data.meta.ogImageWidth) {
-        const dims = resolveOgImageDims(data.meta.ogImage, site.url);
-        if (dims) {
-            data.meta = { ...data.meta, ogImageWidth: dims.width, ogImageHeight: dims.height };
+/**
+ * Walk one JSON-LD value, checking every typed object against
+ * SCHEMA_NESTED_RULES and every URL property for a relative URL.
+ */
+function checkSchemaNode(value, where, key, issues) {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => checkSchemaNode(item, `${where}[${i}]`, key, issues));
+        return;
+    }
+    if (typeof value === 'string') {
+        if (SCHEMA_URL_PROPS.has(key) && !/^https?:\/\//.test(value)) {
+            issues.push({ level: 'error', message: `${where} is not an absolute URL: ${JSON.stringify(value)}` });
+        }
+        return;
+    }
+    if (!value || typeof value !== 'object') return;
+    const rules = SCHEMA_NESTED_RULES[value['@type']];
+    if (rules) checkSchemaProps(value, rules, where, issues);
+    for (const [prop, child] of Object.entries(value)) {
+        if (prop !== '@context' && prop !== '@type') checkSchemaNode(child, `${where}.${prop}`, prop, issues);
+    }
+}
+
+/**
+ * Check a page's structuredData blocks (as buildContext leaves them, i.e.
+ * what the jsonld helper renders). Returns a list of { level, message },
+ * where level is "error" for a missing required property or a malformed
+ * value and "warning" for a missing recommended one.
+ */
+function validateStructuredData(blocks) {
+    const issues = [];
+    const typeCounts = new Map();
+    for (const block of blocks) {
+        if (!block || typeof block !== 'object' || Array.isArray(block)) {
+            issues.push({ level: 'error', message: `JSON-LD block is not an object: ${JSON.stringify(block)}` });
+            continue;
+        }
+        const type = block['@type'];
+        if (!type) {
+            issues.push({ level: 'error', message: 'JSON-LD block has no @type' });
+            continue;
+        }
+        // Later blocks of a repeated type are named "Type #2" and so on
+        const count = (typeCounts.get(type) || 0) + 1;
+        typeCounts.set(type, count);
+        const where = count > 1 ? `${type} #${count}` : type;
+        if (count === 2) {
+            issues.push({ level: 'error', message: `${type} appears in more than one JSON-LD block` });
+        }
+        if (!/^https?:\/\/schema\.org\/?$/.test(block['@context'] || '')) {
+            issues.push({ level: 'error', message: `${where}.@context is not https://schema.org` });
+        }
+
+        const rules = SCHEMA_BLOCK_RULES[type];
+        if (rules) checkSchemaProps(block, rules, where, issues);
+        for (const [prop, child] of Object.entries(block)) {
+            if (prop !== '@context' && prop !== '@type') checkSchemaNode(child, `${where}.${prop}`, prop, issues);
+        }
+
+        if (type === 'FAQPage' && block.mainEntity && !Array.isArray(block.mainEntity)) {
+            issues.push({ level: 'error', message: `${where}.mainEntity is not a list of Questions` });
+        }
+        if (type === 'BreadcrumbList' && Array.isArray(block.itemListElement)) {
+            block.itemListElement.forEach((entry, i) => {
+                if (!entry) return;
+                if (entry.position !== i + 1) {
+                    issues.push({ level: 'error', message: `${where}.itemListElement[${i}].position is ${entry.position}, expected ${i + 1}` });
+                }
+                // Only the last crumb (the page itself) may leave out its URL
+                if (i < block.itemListElement.length - 1 && isEmptySchemaValue(entry.item)) {
+                    issues.push({ level: 'error', message: `${where}.itemListElement[${i}].item is missing` });
+                }
+            });
         }
     }
+    return issues;
+}
 
-    // Auto-generate SEO schemas from page content where missing
-    data.structuredData = Array.isArray(data.structuredData) ? [...data.structuredData] : [];
+// The visible breadcrumb trail, found by its class so a translated
+// aria-label doesn't hide it, and each crumb in it (separators are aria-hidden)
+const BREADCRUMB_NAV_RE = /<nav\b[^>]*\bclass="(?:[^"]*\s)?guide-breadcrumb(?:\s[^"]*)?"[^>]*>([\s\S]*?)<\/nav>/;
+const BREADCRUMB_CRUMB_RE = /<(a|span)\b([^>]*)>([\s\S]*?)<\/\1>/g;
 
-    // FAQPage schema — generated from whatever questions the page actually
-    // renders, so the schema can never drift from the visible content and each
-    // locale gets its own translated schema instead of inheriting EN's.
-    //
-    // Two shapes carry questions: app/index pages use data.faq.items, and the
-    // FAQ page (faq-page template) nests them under data.sections[].items[].
-    const faqSources = [];
-    if (data.faq && Array.isArray(data.faq.items)) {
-        faqSources.push(...data.faq.items);
+/**
+ * Check the names in a page's BreadcrumbList against the breadcrumb the
+ * rendered page shows, crumb by crumb. Names are compared HTML-escaped, the
+ * way templates print them. Pages without a visible breadcrumb pass.
+ */
+function checkBreadcrumbText(blocks, html) {
+    const nav = html.match(BREADCRUMB_NAV_RE);
+    if (!nav) return [];
+    const crumbs = [];
+    for (const [, , attrs, inner] of nav[1].matchAll(BREADCRUMB_CRUMB_RE)) {
+        if (!/\baria-hidden="true"/.test(attrs)) crumbs.push(inner.replace(/<[^>]*>/g, '').trim());
     }
-    if (Array.isArray(data.sections)) {
-        for (const section of data.sections) {
-            if (section && Array.isArray(section.items)) faqSources.push(...section.items);
+    const list = blocks.find(block => block && block['@type'] === 'BreadcrumbList');
+    if (!list) {
+        return [{ level: 'error', message: 'BreadcrumbList is missing but the page shows a breadcrumb' }];
+    }
+    const items = Array.isArray(list.itemListElement) ? list.itemListElement : [];
+    if (items.length !== crumbs.length) {
+        return [{ level: 'error', message: `BreadcrumbList has ${items.length} item(s), the visible breadcrumb ${crumbs.length}` }];
+    }
+    const issues = [];
+    items.forEach((entry, i) => {
+        const name = escapeHtml(entry && entry.name != null ? String(entry.name) : '').trim();
+        if (name !== crumbs[i]) {
+            issues.push({ level: 'error', message: `BreadcrumbList.itemListElement[${i}].name ${JSON.stringify(name)} ` +
+                `doesn't match the visible breadcrumb ${JSON.stringify(crumbs[i])}` });
         }
+    });
+    return issues;
+}
+
+/**
+ * Print the structured data report: problems grouped by locale, then by
+ * message, with the pages each one was found on. Returns the number of
+ * pages with errors (warnings alone don't count).
+ */
+function reportStructuredData(pageIssues, pagesChecked) {
+    if (!pageIssues.length) {
+        if (pagesChecked) console.log(`\nStructured data: no problems on ${pagesChecked} page(s).`);
+        return 0;
     }
-    const faqItems = faqSources.filter(i => i && i.question && i.answer);
-    if (faqItems.length > 0) {
-        const hasFAQ = data.structuredData.some(b => b && b['@type'] === 'FAQPage');
-        if (!hasFAQ) {
-            data.structuredData.push({
-                '@context': 'https://schema.org',
-                '@type': 'FAQPage',
-                mainEntity: faqItems.map(item => ({
-                    '@type': 'Question',
-                    name: stripMarkdown(item.question),
-                    acceptedAnswer: {
-                        '@type': 'Answer',
-                        text: stripMarkdown(item.answer)
-                    }
-                }))
-            });
+    const errorPages = pageIssues.filter(({ issues }) => issues.some(issue => issue.level === 'error')).length;
+    console.warn(`\nStructured data: problems on ${pageIssues.length} of ${pagesChecked} page(s), ` +
+        `${errorPages} with errors`);
+    const byLang = new Map();
+    for (const { page, issues } of pageIssues) {
+        const lang = page.lang || 'en';
+        if (!byLang.has(lang)) byLang.set(lang, { pages: 0, entries: new Map() });
+        const group = byLang.get(lang);
+        group.pages++;
+        for (const { level, message } of issues) {
+            const key = `${level === 'error' ? 'Error' : 'Warning'}: ${message}`;
+            if (!group.entries.has(key)) group.entries.set(key, new Set());
+            group.entries.get(key).add(page.outputPath);
+        }
+    }
+    for (const [lang, group] of [...byLang].sort(([a], [b]) => a.localeCompare(b))) {
+        console.warn(`  ${lang} — ${group.pages} page(s)`);
+        for (const [key, outputPaths] of group.entries) {
+            const examples = [...outputPaths].slice(0, 3).join(', ');
+            const more = outputPaths.size > 3 ? `, +${outputPaths.size - 3} more` : '';
+            console.warn(`    ${key} on ${outputPaths.size} page(s): ${examples}${more}`);
         }
     }
+    return errorPages;
+}
 
-    // Review items — inject into the first SoftwareApplication/MobileApplication block
-    if (data.reviews && Array.isArray(data.reviews.items) && data.reviews.items.length > 0) {
-        const appBlock = data.structuredData.find(b =>
-            b && (b['@type'] === 'SoftwareApplication' || b['@type'] === 'MobileApplication')
-        );
-        if (appBlock && !appBlock.review) {
-            appBlock.review = data.reviews.items.map(item => ({
-                '@type': 'Review',
-                reviewRating: { '@type': 'Rating', ratingValue: 5, bestRating: 5 },
-                author: { '@type': 'Person', name: (item.author || '').split(',')[0].trim() || 'Anonymous' },
-                name: item.title,
-                reviewBody: item.content
-            }));
+// ============================================================
+// Image Budget
+//
+// PNGs in images/ (images/srcset/ aside) bigger than IMAGE_RECOMPRESS_BYTES
+// are re-encoded with image-tools.js in their smallest colour type and
+// replaced when that comes out smaller. 16-bit masters keep their depth and
+// colour profile: only their image data is re-deflated (repackPNG). JPEGs are
+// left alone: re-encoding them loses quality each time, and the manifest
+// that remembers tried files isn't committed, so every fresh clone would do
+// it again. Any PNG or JPEG over IMAGE_SIZE_BUDGET fails the build.
+// ============================================================
+
+const IMAGE_RECOMPRESS_BYTES = 512 * 1024;
+const IMAGE_SIZE_BUDGET = 1536 * 1024;
+
+/**
+ * Repo-relative paths of every PNG and JPEG under images/, except the
+ * generated smaller widths.
+ */
+function imageAssets() {
+    const assets = [];
+    const addDir = relDir => {
+        for (const entry of fs.readdirSync(path.join(ROOT, relDir), { withFileTypes: true })) {
+            const relPath = relDir + '/' + entry.name;
+            if (entry.isDirectory() && path.join(ROOT, relPath) !== SRCSET_DIR) addDir(relPath);
+            else if (entry.isFile() && /\.(png|jpe?g)$/i.test(entry.name)) assets.push(relPath);
+        }
+    };
+    if (fs.existsSync(path.join(ROOT, 'images'))) addDir('images');
+    return assets.sort();
+}
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Re-encode the PNG assets over IMAGE_RECOMPRESS_BYTES that haven't been
+ * tried at their current content (tried: relPath → hash, from the previous
+ * manifest), then check every asset against IMAGE_SIZE_BUDGET.
+ * Returns { tried, overBudget } for the next manifest and the error count.
+ */
+function recompressImages(tried) {
+    const nextTried = {};
+    let recompressed = 0;
+    let saved = 0;
+    let overBudget = 0;
+    for (const relPath of imageAssets()) {
+        const file = path.join(ROOT, relPath);
+        let size = fs.statSync(file).size;
+        const isPng = /\.png$/i.test(relPath);
+        if (isPng && size > IMAGE_RECOMPRESS_BYTES && tried[relPath] !== hashFile(relPath)) {
+            try {
+                const buf = fs.readFileSync(file);
+                // Bit depth, from IHDR
+                const out = buf[24] === 16 ? imageTools.repackPNG(buf) : imageTools.encodePNG(imageTools.decodePNG(buf));
+                if (out.length < size) {
+                    fs.writeFileSync(file, out);
+                    delete fileHashCache[relPath];
+                    recompressed++;
+                    saved += size - out.length;
+                    size = out.length;
+                }
+            } catch (err) {
+                console.warn(`  Warning: ${relPath}: ${err.message}, left as it is`);
+            }
+        }
+        if (isPng && size > IMAGE_RECOMPRESS_BYTES) nextTried[relPath] = hashFile(relPath);
+        if (size > IMAGE_SIZE_BUDGET) {
+            console.error(`  ✗ ${relPath} is ${formatBytes(size)}, over the ${formatBytes(IMAGE_SIZE_BUDGET)} image budget`);
+            overBudget++;
         }
     }
+    if (recompressed) console.log(`Images:    re-encoded ${recompressed} over ${formatBytes(IMAGE_RECOMPRESS_BYTES)}, ${formatBytes(saved)} smaller`);
+    return { tried: nextTried, overBudget };
+}
 
-    // BreadcrumbList — tips pages get Home > {App} > Tips
-    if (page.template === 'tips-page' && page.slug) {
-        const hasBreadcrumb = data.structuredData.some(b => b && b['@type'] === 'BreadcrumbList');
-        if (!hasBreadcrumb) {
-            const langPrefix = lang.prefix || '';
-            const homeUrl = site.url + (langPrefix ? langPrefix + '/' : '/');
-            const appUrl = site.url + langPrefix + '/' + page.slug + '/';
-            const tipsUrl = site.url + langPrefix + '/' + page.slug + '/tips/';
-            const navApp = (lang.nav && lang.nav.apps) ? lang.nav.apps.find(a => a.slug === page.slug) : null;
-            const appName = navApp ? navApp.name : page.slug;
-            const tipsLabel = (data.hero && data.hero.title) ? data.hero.title : 'Tips';
-            data.structuredData.push({
-                '@context': 'https://schema.org',
-                '@type': 'BreadcrumbList',
-                itemListElement: [
-                    { '@type': 'ListItem', position: 1, name: 'Home', item: homeUrl },
-                    { '@type': 'ListItem', position: 2, name: appName, item: appUrl },
-                    { '@type': 'ListItem', position: 3, name: tipsLabel, item: tipsUrl }
-                ]
-            });
+// ============================================================
+// Responsive Images
+//
+// Smaller copies of the app icons, og images and screenshots (the PNGs in
+// images/ and images/screenshots/, locale folders included) are written to
+// images/srcset/ at each of RESPONSIVE_WIDTHS below the original width, e.g.
+// images/screenshots/bpt-1.png → images/srcset/screenshots/bpt-1-640w.png.
+// {{srcset src}} lists them with the original for an <img srcset>.
+// ============================================================
+
+const RESPONSIVE_WIDTHS = [160, 320, 480, 640, 960];
+const SRCSET_DIR = path.join(ROOT, 'images', 'srcset');
+
+/**
+ * Repo-relative paths of the PNGs that get smaller widths.
+ */
+function responsiveSources() {
+    const sources = [];
+    const addDir = (relDir, recurse) => {
+        const dir = path.join(ROOT, relDir);
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.isFile() && entry.name.endsWith('.png')) sources.push(relDir + '/' + entry.name);
+            else if (recurse && entry.isDirectory()) addDir(relDir + '/' + entry.name, false);
+        }
+    };
+    addDir('images', false);
+    addDir('images/screenshots', true);
+    return sources.sort();
+}
+
+// images/screenshots/bpt-1.png, 640 → images/srcset/screenshots/bpt-1-640w.png
+function variantPath(relPath, width) {
+    return path.relative(ROOT, SRCSET_DIR) + '/' + relPath.slice('images/'.length).replace(/\.png$/, `-${width}w.png`);
+}
+
+/**
+ * Write the smaller widths of every responsive source, and remove ones whose
+ * source is gone. made maps each source to the content hash its widths were
+ * last written from; a source keeps its widths while its hash matches and
+ * they all exist. Returns the map for the next build. A source that can't be
+ * decoded is reported and left with none.
+ */
+function writeImageVariants(made) {
+    const nextMade = {};
+    const expected = new Set();
+    let written = 0;
+    let sourceCount = 0;
+    for (const relPath of responsiveSources()) {
+        const sourceFile = path.join(ROOT, relPath);
+        const dims = getImageDimensions(sourceFile);
+        const widths = dims ? RESPONSIVE_WIDTHS.filter(width => width < dims.width) : [];
+        if (!widths.length) continue;
+        sourceCount++;
+        const outFiles = widths.map(width => path.join(ROOT, variantPath(relPath, width)));
+        for (const outFile of outFiles) expected.add(outFile);
+        const hash = hashFile(relPath);
+        if (made[relPath] === hash && outFiles.every(outFile => fs.existsSync(outFile))) {
+            nextMade[relPath] = hash;
+            continue;
+        }
+        let image;
+        try {
+            image = imageTools.decodePNG(fs.readFileSync(sourceFile));
+        } catch (err) {
+            console.warn(`  Warning: ${relPath}: ${err.message}, no smaller widths written`);
+            for (const outFile of outFiles) expected.delete(outFile);
+            continue;
         }
+        widths.forEach((width, i) => {
+            const height = Math.max(1, Math.round(image.height * width / image.width));
+            ensureDir(outFiles[i]);
+            fs.writeFileSync(outFiles[i], imageTools.encodePNG(imageTools.resize(image, width, height)));
+            written++;
+        });
+        nextMade[relPath] = hash;
     }
-
-    // Guide pages (EN-only SEO articles) — BreadcrumbList + Article schema
-    if (page.template === 'guide-page') {
-        const langPrefix = lang.prefix || '';
-        if (data.breadcrumb && !data.structuredData.some(b => b && b['@type'] === 'BreadcrumbList')) {
-            data.structuredData.push({
-                '@context': 'https://schema.org',
-                '@type': 'BreadcrumbList',
-                itemListElement: [
-                    { '@type': 'ListItem', position: 1, name: 'Home', item: site.url + (langPrefix ? langPrefix + '/' : '/') },
-                    { '@type': 'ListItem', position: 2, name: data.breadcrumb.app, item: site.url + langPrefix + data.breadcrumb.appUrl },
-                    { '@type': 'ListItem', position: 3, name: data.breadcrumb.current, item: canonicalUrl }
-                ]
-            });
+    const removeStale = dir => {
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) removeStale(entryPath);
+            else if (!expected.has(entryPath)) fs.unlinkSync(entryPath);
         }
-        if (!data.structuredData.some(b => b && b['@type'] === 'Article')) {
-            data.structuredData.push({
-                '@context': 'https://schema.org',
-                '@type': 'Article',
-                headline: (data.hero && data.hero.title) || (data.meta && data.meta.title),
-                description: data.meta && data.meta.description,
-                image: data.meta && data.meta.ogImage,
-                datePublished: data.datePublished,
-                dateModified: data.dateModified || data.datePublished,
-                inLanguage: 'en',
-                author: { '@type': 'Organization', name: site.author, url: site.url },
-                publisher: { '@type': 'Organization', name: site.author, url: site.url,
-                    logo: { '@type': 'ImageObject', url: site.url + '/images/feeltracker-icon.png' } },
-                mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl }
-            });
+    };
+    removeStale(SRCSET_DIR);
+    console.log(`Images:    ${expected.size} smaller widths of ${sourceCount} images (${written} written)`);
+    return nextMade;
+}
+
+/**
+ * srcset value for an image URL: its smaller widths that exist plus the
+ * original, each with its w descriptor. Images without smaller widths (not
+ * a responsive source, SVGs, off-site URLs) get just their own URL.
+ */
+function responsiveSrcset(src) {
+    if (typeof src !== 'string' || !src.startsWith('/images/') || !src.endsWith('.png')) return src;
+    const relPath = src.slice(1);
+    const dims = resolveOgImageDims(src);
+    if (!dims) return src;
+    const candidates = RESPONSIVE_WIDTHS
+        .filter(width => width < dims.width && fs.existsSync(path.join(ROOT, variantPath(relPath, width))))
+        .map(width => `/${variantPath(relPath, width)} ${width}w`);
+    return candidates.length ? [...candidates, `${src} ${dims.width}w`].join(', ') : src;
+}
+
+// ============================================================
+// Sitemap
+// ============================================================
+
+// sitemap.xml is an index of one sitemap per locale, written to sitemaps/
+const SITEMAP_FILE = path.join(ROOT, 'sitemap.xml');
+const SITEMAPS_DIR = path.join(ROOT, 'sitemaps');
+
+const HEAD_LINK_RE = /<link rel="(canonical|alternate)"(?: hreflang="([^"]*)")? href="([^"]*)">/g;
+
+/**
+ * Date (YYYY-MM-DD) of the last commit touching each file under data/, from
+ * a single git log pass. Empty when git or the history isn't available.
+ */
+function gitLastModified() {
+    let log;
+    try {
+        log = execFileSync('git', ['-c', 'core.quotepath=off', 'log', '--format=%x00%cs', '--name-only', '--', 'data'],
+            { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+    } catch (err) {
+        return {};
+    }
+    const dates = {};
+    for (const commit of log.split('\0').slice(1)) {
+        const [date, ...files] = commit.trim().split('\n');
+        for (const file of files) {
+            // Newest commit first, so the first date seen is the latest
+            if (file && !dates[file]) dates[file] = date;
         }
     }
+    return dates;
+}
 
-    // Related apps — cross-link from app pages to the other apps
-    if (page.template === 'app-page' && appCatalog && lang.nav && lang.nav.apps) {
-        const langPrefix = lang.prefix || '';
-        data.relatedApps = lang.nav.apps
-            .filter(a => a.slug !== page.slug && appCatalog[a.slug])
-            .map(a => ({
-                slug: a.slug,
-                name: a.name,
-                url: langPrefix + '/' + a.slug + '/',
-                iconSrc: appCatalog[a.slug].iconSrc,
-                appId: appCatalog[a.slug].appId
-            }));
-        data.relatedAppsTitle = RELATED_APPS_TITLE[page.lang] || RELATED_APPS_TITLE.en;
+/**
+ * Canonical URL and hreflang alternates as rendered in a page's <head>, so
+ * the sitemap can never disagree with the page. Null for noindex pages.
+ */
+function headLinks(html) {
+    const end = html.indexOf('</head>');
+    const head = end === -1 ? html : html.slice(0, end);
+    if (/<meta name="robots" content="[^"]*noindex/i.test(head)) return null;
+    let canonical = null;
+    const alternates = [];
+    for (const [, rel, hreflang, href] of head.matchAll(HEAD_LINK_RE)) {
+        if (rel === 'canonical') canonical = href;
+        else if (hreflang) alternates.push({ hreflang, href });
     }
+    return canonical ? { canonical, alternates } : null;
+}
 
-    if (data.structuredData.length > 0 && !data.structuredDataHtml) {
-        data.structuredDataHtml = data.structuredData.map(block =>
-            '    <script type="application/ld+json">\n' +
-            JSON.stringify(block, null, 6).split('\n').map(line => '    ' + line).join('\n') +
-            '\n    </script>'
-        ).join('\n');
+/**
+ * Write sitemaps/{lang}.xml for every locale with pages, and sitemap.xml as
+ * their index. Entries come from the pages as written to disk (including
+ * ones this incremental run skipped); lastmod is the page's dateModified,
+ * else the newest commit of its data files. Returns the number of URLs.
+ */
+function writeSitemaps(site, languages, pages) {
+    const gitDates = gitLastModified();
+    const byLang = {};
+    for (const page of pages) {
+        const outputFile = path.join(ROOT, page.outputPath);
+        if (!fs.existsSync(outputFile)) continue;
+        const links = headLinks(fs.readFileSync(outputFile, 'utf8'));
+        if (!links) continue;
+        const dates = (page.sourceFiles || []).map(file => gitDates[file]).filter(Boolean).sort();
+        const lastmod = (page.data && page.data.dateModified) || dates[dates.length - 1];
+        (byLang[page.lang] = byLang[page.lang] || []).push({ ...links, lastmod });
     }
 
-    const hasGame = typeof data.santaScript === 'string' && data.santaScript.trim().length > 0;
+    fs.mkdirSync(SITEMAPS_DIR, { recursive: true });
+    const written = new Set();
+    const index = [];
+    let urls = 0;
+    for (const code of Object.keys(languages)) {
+        const entries = byLang[code];
+        if (!entries) continue;
+        entries.sort((a, b) => a.canonical.localeCompare(b.canonical));
+        const body = entries.map(entry => [
+            '  <url>',
+            `    <loc>${entry.canonical}</loc>`,
+            ...entry.alternates.map(alt =>
+                `    <xhtml:link rel="alternate" hreflang="${alt.hreflang}" href="${alt.href}"/>`),
+            ...(entry.lastmod ? [`    <lastmod>${entry.lastmod}</lastmod>`] : []),
+            '  </url>'
+        ].join('\n'));
+        const file = `${code}.xml`;
+        fs.writeFileSync(path.join(SITEMAPS_DIR, file),
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+            body.join('\n') + '\n</urlset>\n');
+        written.add(file);
+        urls += entries.length;
+
+        const newest = entries.map(entry => entry.lastmod).filter(Boolean).sort().pop();
+        index.push('  <sitemap>\n' +
+            `    <loc>${site.url}/sitemaps/${file}</loc>\n` +
+            (newest ? `    <lastmod>${newest}</lastmod>\n` : '') +
+            '  </sitemap>');
+    }
+    // Locales that no longer have pages lose their sitemap
+    for (const file of fs.readdirSync(SITEMAPS_DIR)) {
+        if (file.endsWith('.xml') && !written.has(file)) fs.unlinkSync(path.join(SITEMAPS_DIR, file));
+    }
+    fs.writeFileSync(SITEMAP_FILE,
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+        index.join('\n') + '\n</sitemapindex>\n');
+    console.log(`Sitemap:   ${urls} URLs in ${written.size} locale sitemaps`);
+    return urls;
+}
 
-    return {
+// ============================================================
+// llms.txt & ai-info.json
+// ============================================================
+
+// Hand-maintained facts (features, pricing, privacy) and the llms.txt prose;
+// build() adds everything the site data already knows.
+const AI_INFO_SOURCE = path.join(DATA_DIR, 'ai-info.json');
+const LLMS_TEMPLATE = path.join(TEMPLATES_DIR, 'llms.txt');
+
+/**
+ * Build ai-info.json and the llms.txt context from data/ai-info.json plus
+ * the loaded pages: App Store ids and per-locale URLs from the app pages,
+ * each app's guides (in the order its page lists them), the utility pages
+ * and the language catalogue. Apps are matched to app pages by slug.
+ */
+function buildAiInfo(site, languages, enPagesByFile, pageAvailability, guideAvailability) {
+    const source = JSON.parse(fs.readFileSync(AI_INFO_SOURCE, 'utf8'));
+    const codes = Object.keys(languages);
+    const pageUrl = (code, pagePath) =>
+        site.url + (languages[code].prefix || '') + '/' + (pagePath ? pagePath + '/' : '');
+    const enPages = Object.entries(enPagesByFile);
+    const byPath = {};
+    for (const [, page] of enPages) byPath[page.path || ''] = page;
+
+    const guideGroups = [];
+    const tips = [];
+    const apps = source.apps.map(app => {
+        const entry = enPages.find(([file, page]) => file.endsWith('.app.json') && page.slug === app.slug);
+        if (!entry) {
+            console.warn(`  Warning: data/ai-info.json lists app "${app.slug}" but there is no ${app.slug}.app.json`);
+            return app;
+        }
+        const appPage = entry[1];
+        const available = codes.filter(code => pageAvailability[appPage.path].has(code));
+        const tipsPage = byPath[appPage.path + '/tips'];
+        const guides = ((appPage.data.guides && appPage.data.guides.items) || [])
+            .map(item => byPath[item.url.replace(/^\/|\/$/g, '')])
+            .filter(guide => guide && guideAvailability[guide.path])
+            .map(guide => ({
+                title: guide.data.hero.title,
+                url: pageUrl(codes[0], guide.path),
+                languages: guideAvailability[guide.path].size
+            }));
+
+        if (guides.length) {
+            guideGroups.push({
+                slug: app.slug,
+                title: appPage.data.guides.title,
+                allLanguages: guides.every(guide => guide.languages === codes.length),
+                exampleLang: codes[1] || codes[0],
+                examplePath: guides[0].url.slice(site.url.length + 1, -1),
+                guides: guides.map(guide => ({ ...guide, partial: guide.languages < codes.length }))
+            });
+        }
+        if (tipsPage) tips.push({ slug: app.slug, title: tipsPage.data.hero.title, url: pageUrl(codes[0], tipsPage.path) });
+
+        return {
+            ...app,
+            summary: stripMarkdown(app.summary || ''),
+            appStoreId: appPage.appId,
+            appStoreUrl: `https://apps.apple.com/app/id${appPage.appId}`,
+            languages: available.length,
+            webPage: pageUrl(codes[0], appPage.path),
+            tipsPage: tipsPage ? pageUrl(codes[0], tipsPage.path) : undefined,
+            webPages: Object.fromEntries(available.map(code => [code, pageUrl(code, appPage.path)])),
+            guides
+        };
+    });
+
+    const info = {
+        ...source,
+        organization: {
+            ...source.organization,
+            appCount: apps.length,
+            websiteLanguageCount: codes.length,
+            websiteLanguages: Object.fromEntries(codes.map(code => [code, pageUrl(code, '')])),
+            keyPages: Object.fromEntries(enPages
+                .filter(([file]) => file.endsWith('.utility.json'))
+                .map(([, page]) => [page.slug, pageUrl(codes[0], page.path)]))
+        },
+        apps,
+        sharedFeatures: {
+            ...source.sharedFeatures,
+            localization: {
+                ...source.sharedFeatures.localization,
+                totalLanguages: codes.length,
+                languageCodes: codes,
+                languages: codes.map(code => languages[code].name)
+            }
+        }
+    };
+
+    // llms.txt lists apps, guide groups and tips in nav order
+    const navOrder = (languages[codes[0]].nav.apps || []).map(navApp => navApp.slug);
+    const byNavOrder = (a, b) => navOrder.indexOf(a.slug) - navOrder.indexOf(b.slug);
+    const llms = {
         site,
-        lang,
-        htmlLang: toBcp47(page.lang),
-        langPrefix: lang.prefix || '',
-        langSwitcher,
-        navApps,
-        brandUrl,
-        footerHomeUrl,
-        canonicalUrl,
-        xDefaultUrl,
-        footer: lang.footer,
-        cookie: lang.cookie,
-        privacyUrl,
-        ogLocale,
-        hasGame,
-        enOnly: !!page.enOnly,
-        pageHreflangs,
-        // True only when rendering the reference (EN) language — lets templates
-        // show EN-only sections.
-        isRefLang: page.lang === Object.keys(languages)[0],
-        ...data,
-        // Computed after ...data so it always wins over any stale field.
-        // Guide pages redirect only to locales the guide exists in (empty map
-        // = no script); a redirect to an untranslated locale would 404.
-        langRedirectScript: page.enOnly
-            ? ((page.lang === Object.keys(languages)[0] && availSet.size > 1)
-                ? langRedirectScript(languages, { home: false, allowedLangs: availSet })
-                : '')
-            : langRedirectScript(languages, { home: page.template === 'index-page' })
+        apps: source.apps.map((app, i) => ({ ...apps[i], summary: app.summary })).sort(byNavOrder),
+        guideGroups: guideGroups.sort(byNavOrder),
+        tips: tips.sort(byNavOrder),
+        languageCount: codes.length,
+        languages: codes.map(code => ({ name: languages[code].name, url: pageUrl(code, '') })),
+        guideCount: Object.keys(guideAvailability).length
     };
+    return { info, llms };
 }
 
 /**
- * Deep-merge a base object with an overlay object.
- * - Objects: overlay keys override base keys, recurse for nested objects
- * - Arrays: positional merge (item 0 with item 0, etc.), uses longer array
- * - Scalars: overlay wins
- * - undefined in overlay: use base value
- * - null in overlay: explicitly set to null
+ * Write ai-info.json and llms.txt to the site root. pageCount is the number
+ * of pages the sitemap lists.
  */
-function deepMerge(base, overlay) {
-    if (overlay === undefined) return base;
-    if (overlay === null) return null;
-    if (typeof base !== 'object' || base === null) return overlay;
-    if (typeof overlay !== 'object') return overlay;
+function writeAiFiles(site, languages, enPagesByFile, pageAvailability, guideAvailability, llmsTemplate, pageCount) {
+    const { info, llms } = buildAiInfo(site, languages, enPagesByFile, pageAvailability, guideAvailability);
+    fs.writeFileSync(path.join(ROOT, 'ai-info.json'), JSON.stringify(info, null, 2) + '\n');
+    fs.writeFileSync(path.join(ROOT, 'llms.txt'), render(llmsTemplate, { ...llms, pageCount }));
+    console.log(`AI files:  llms.txt, ai-info.json (${info.apps.length} apps, ${llms.guideCount} guides)`);
+}
 
-    if (Array.isArray(base) && Array.isArray(overlay)) {
-        // Overlay array length wins — if translation has 6 reviews, keep 6
-        // (don't pad with untranslated EN items)
-        // Within each item, deep merge to fill in structural fields from base
-        const result = [];
-        for (let i = 0; i < overlay.length; i++) {
-            if (i < base.length) {
-                result.push(deepMerge(base[i], overlay[i]));
-            } else {
-                result.push(overlay[i]);
-            }
-        }
-        return result;
+// ============================================================
+// Incremental Builds
+// ============================================================
+
+// Bumped when the manifest layout changes, so an old manifest is ignored.
+const MANIFEST_VERSION = 4;
+
+let fileHashCache = {};
+
+/**
+ * Content hash of a repo-relative file, or null when it doesn't exist.
+ * Cached for the lifetime of one build run.
+ */
+function hashFile(relPath) {
+    if (fileHashCache[relPath] !== undefined) return fileHashCache[relPath];
+    const absPath = path.join(ROOT, relPath);
+    const hash = fs.existsSync(absPath)
+        ? crypto.createHash('sha1').update(fs.readFileSync(absPath)).digest('hex')
+        : null;
+    fileHashCache[relPath] = hash;
+    return hash;
+}
+
+function hashValue(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex');
+}
+
+/**
+ * Collect the partials a compiled template includes, following nested
+ * includes. Partials inside an {{#if}} that is false for a given page still
+ * count as dependencies — erring on the side of rebuilding.
+ */
+function collectPartialNames(template, partials, seen) {
+    seen = seen || new Set();
+    walkNodes(template.body, node => {
+        if (node.type !== 'partial' || node.name === '@partial-block' || seen.has(node.name)) return;
+        seen.add(node.name);
+        if (partials[node.name]) collectPartialNames(partials[node.name], partials, seen);
+    });
+    return seen;
+}
+
+/**
+ * List everything a page's output depends on. Real files are repo-relative
+ * paths; derived inputs shared across pages (the app catalog, guide and
+ * page availability, the favicon links) are "@name" keys whose hash is
+ * computed by build().
+ */
+function pageDependencies(page, templates, templateLayouts, partials, site) {
+    const deps = ['build.js', 'data/site.json', 'data/languages.json', '@headIcons'];
+    deps.push('templates/' + page.template + '.html');
+    for (const name of templateLayouts[page.template] || []) {
+        deps.push('templates/layouts/' + name + '.html');
     }
-    if (Array.isArray(base) !== Array.isArray(overlay)) {
-        console.warn('  Warning: type mismatch in deepMerge (array vs object), overlay wins');
-        return overlay;
+    const template = templates[page.template] || { body: [] };
+    for (const name of collectPartialNames(template, partials)) {
+        deps.push('templates/partials/' + name + '.html');
     }
-
-    const result = { ...base };
-    for (const key of Object.keys(overlay)) {
-        result[key] = deepMerge(base[key], overlay[key]);
+    deps.push(...(page.sourceFiles || []));
+    const data = page.data || {};
+    if (data.meta && data.meta.ogImage && !data.meta.ogImageWidth) {
+        const imagePath = ogImageRelPath(data.meta.ogImage, site.url);
+        if (imagePath) deps.push(imagePath);
     }
-    return result;
+    if (data.screenshots && Array.isArray(data.screenshots.items)) {
+        // The locale's copy counts even while it doesn't exist, so adding one
+        // rebuilds the page
+        for (const item of data.screenshots.items) {
+            const localePath = localeScreenshotPath(item.src, page.lang);
+            if (localePath) deps.push(localePath.slice(1));
+            if (item.src && item.src.startsWith('/')) deps.push(item.src.slice(1));
+        }
+    }
+    if (page.template === 'app-page') deps.push('@appCatalog');
+    if (page.enOnly || data.guides) deps.push('@guideAvailability');
+    // Markdown links to site pages are localised by availability
+    if (linksToSitePages(JSON.stringify(data), site.url)) deps.push('@pageAvailability');
+    return deps;
 }
 
-function ensureDir(filePath) {
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
+/**
+ * Whether page data (as JSON) has markdown that can link to a site page:
+ * an inline link ("](/…)"), a reference definition ("[x]: /…" at the start
+ * of a line) or an autolink ("<https://site/…>"). Destinations may be
+ * wrapped in <…>. Errs on the side of matching.
+ */
+function linksToSitePages(dataJson, siteUrl) {
+    const site = siteUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const dest = `<?(?:/|${site})`;
+    // Spaces, tabs and line breaks as they appear inside a JSON string
+    const space = '(?:[ \\t]|\\\\[nt])*';
+    const inline = `\\]\\(${space}${dest}`;
+    const definition = `(?:"|\\\\n) {0,3}\\[[^\\]]+\\]:${space}${dest}`;
+    return new RegExp(`${inline}|${definition}|<${site}`).test(dataJson);
+}
+
+/**
+ * Load the manifest from the previous build. Returns an empty manifest when
+ * there is none, it can't be parsed, or it was written by an older layout.
+ */
+function loadManifest() {
+    const empty = { version: MANIFEST_VERSION, files: {}, pages: {}, images: {}, variants: {}, icons: null };
+    if (!fs.existsSync(MANIFEST_FILE)) return empty;
+    try {
+        const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+        return manifest.version === MANIFEST_VERSION ? manifest : empty;
+    } catch (err) {
+        console.warn(`  Warning: ignoring unreadable ${path.basename(MANIFEST_FILE)} (${err.message})`);
+        return empty;
     }
 }
 
-function build() {
+/**
+ * A page is up to date when its output exists, it was built with the same
+ * dependency list last time, and every dependency still has the same hash.
+ */
+function isPageFresh(manifest, outputPath, deps, depHash) {
+    const previous = manifest.pages[outputPath];
+    if (!previous || previous.length !== deps.length) return false;
+    if (!fs.existsSync(path.join(ROOT, outputPath))) return false;
+    return deps.every((dep, i) => previous[i] === dep &&
+        Object.prototype.hasOwnProperty.call(manifest.files, dep) &&
+        manifest.files[dep] === depHash(dep));
+}
+
+/**
+ * Build every page whose inputs changed since the last run (or all of them
+ * with full=true). Returns { built, errors } where built lists the output
+ * paths written this run.
+ */
+function build({ full = false } = {}) {
     console.log('Feeltracker Site Builder');
     console.log('========================\n');
 
+    // Caches live for one run; watch mode calls build() repeatedly
+    fileHashCache = {};
+    imageDimCache = {};
+    plainTextHtmlHits = new Map();
+
     // Load data from split files
     if (!fs.existsSync(DATA_DIR)) {
         console.error('ERROR: data/ directory not found. Run extract.js first or create data files manually.');
@@ -791,9 +3621,27 @@ function build() {
     for (const file of fs.readdirSync(enDir)) {
         if (!file.endsWith('.json')) continue;
         const page = JSON.parse(fs.readFileSync(path.join(enDir, file), 'utf8'));
+        page.sourceFiles = [`data/${REF_LANG}/${file}`];
         enPagesByFile[file] = page;
     }
 
+    // Markdown guides stand in for a *.guide.json file of the same name, so
+    // translation overlays (data/de/sleep-calculator.guide.json) keep working
+    const guidesDir = path.join(enDir, 'guides');
+    if (fs.existsSync(guidesDir)) {
+        for (const file of fs.readdirSync(guidesDir).sort()) {
+            if (!file.endsWith('.md')) continue;
+            const relPath = `data/${REF_LANG}/guides/${file}`;
+            const key = file.replace(/\.md$/, '.guide.json');
+            if (enPagesByFile[key]) {
+                throw new Error(`${relPath}: guide is also defined by data/${REF_LANG}/${key}`);
+            }
+            const page = loadMarkdownGuide(relPath);
+            page.sourceFiles = [relPath];
+            enPagesByFile[key] = page;
+        }
+    }
+
     // EN-only (guide) pages: detect which locales have a translation overlay.
     // A guide goes live in a locale simply by its overlay file existing —
     // hreflang, language switcher, redirect map, and the app-page guides
@@ -838,6 +3686,7 @@ function build() {
 
             if (raw.template) {
                 // Legacy complete file — use as-is (backward compatibility)
+                raw.sourceFiles = [`data/${entry}/${file}`];
                 pages.push(raw);
             } else {
                 // Translation overlay — merge with EN base
@@ -864,22 +3713,88 @@ function build() {
                     appSlug: enPage.appSlug,
                     fallbackPath: enPage.fallbackPath,
                     availableLangs: enPage.availableLangs,
+                    sourceFiles: [...enPage.sourceFiles, `data/${entry}/${file}`],
                     data: mergedData
                 });
             }
         }
     }
 
-    // Load templates and partials
-    const templates = loadTemplates();
-    const partials = loadPartials();
+    // Load and compile templates, partials and layouts. Syntax errors,
+    // layout problems and unknown partials fail the build before any page
+    // is rendered.
+    const compileErrors = [];
+    const templates = loadTemplates(compileErrors);
+    const partials = loadPartials(compileErrors);
+    const layouts = loadLayouts(compileErrors);
+    let llmsTemplate = null;
+    try {
+        llmsTemplate = compileTemplate(fs.readFileSync(LLMS_TEMPLATE, 'utf8'), path.relative(ROOT, LLMS_TEMPLATE));
+    } catch (err) {
+        compileErrors.push(err.message);
+    }
+
+    // Flatten {{extends}} once up front; templateLayouts records which layout
+    // files each template was built from (for the dependency manifest)
+    const templateLayouts = {};
+    for (const [name, template] of Object.entries(templates)) {
+        templateLayouts[name] = [];
+        try {
+            templates[name] = { file: template.file, body: expandLayouts(template, layouts, templateLayouts[name]) };
+        } catch (err) {
+            compileErrors.push(err.message);
+        }
+    }
+    for (const template of [...Object.values(templates), ...Object.values(partials)]) {
+        compileErrors.push(...checkPartialRefs(template, partials));
+    }
+    if (compileErrors.length) {
+        for (const message of compileErrors) console.error(`ERROR: ${message}`);
+        return { built: [], errors: compileErrors.length };
+    }
 
     console.log(`Templates: ${Object.keys(templates).join(', ')}`);
+    console.log(`Layouts:   ${Object.keys(layouts).join(', ')}`);
     console.log(`Partials:  ${Object.keys(partials).join(', ')}`);
+    const previous = loadManifest();
+    const icons = faviconSet.writeIcons(previous.icons);
+    headIcons = faviconSet.iconLinks();
+    console.log(`Icons:     ${faviconSet.ICONS.length} PNGs, favicon.ico and site.webmanifest (${icons.written ? 'written' : 'unchanged'})`);
+    const images = recompressImages(previous.images);
+    const variants = writeImageVariants(previous.variants);
     console.log(`Pages:     ${pages.length}\n`);
 
-    let built = 0;
-    let errors = 0;
+    // Which locales each page path exists in, for localising markdown links
+    const pageAvailability = {}; // page path → Set of language codes
+    for (const page of pages) {
+        const pagePath = page.path || '';
+        if (!pageAvailability[pagePath]) pageAvailability[pagePath] = new Set();
+        pageAvailability[pagePath].add(page.lang);
+    }
+
+    // Hashes of the derived inputs shared across pages; everything else in
+    // a page's dependency list is a file hashed on demand.
+    const virtualHashes = {
+        '@appCatalog': hashValue(appCatalog),
+        '@headIcons': hashValue(headIcons),
+        '@guideAvailability': hashValue(Object.keys(guideAvailability).sort()
+            .map(key => [key, [...guideAvailability[key]].sort()])),
+        '@pageAvailability': hashValue(Object.keys(pageAvailability).sort()
+            .map(key => [key, [...pageAvailability[key]].sort()]))
+    };
+    const depHash = dep => dep.startsWith('@') ? virtualHashes[dep] : hashFile(dep);
+
+    // Strict mode has to see every page, not just the ones that changed
+    const manifest = full || STRICT
+        ? { version: MANIFEST_VERSION, files: {}, pages: {}, images: {}, variants: {}, icons: null }
+        : previous;
+    const nextManifest = { version: MANIFEST_VERSION, files: {}, pages: {}, images: images.tried, variants, icons: icons.hash };
+
+    const built = [];
+    const strictHits = [];
+    const schemaIssues = [];
+    let skipped = 0;
+    let errors = images.overBudget;
 
     for (const page of pages) {
         const template = templates[page.template];
@@ -889,22 +3804,225 @@ function build() {
             continue;
         }
 
+        const deps = pageDependencies(page, templates, templateLayouts, partials, site);
+        if (isPageFresh(manifest, page.outputPath, deps, depHash)) {
+            nextManifest.pages[page.outputPath] = deps;
+            skipped++;
+            continue;
+        }
+
         try {
-            const context = buildContext(site, languages, page, appCatalog, guideAvailability);
+            const context = buildContext(site, languages, page, appCatalog, guideAvailability, pageAvailability);
+            if (STRICT) unresolvedHits = [];
             const html = render(template, context, partials);
+            const issues = [...validateStructuredData(context.structuredData),
+                ...checkBreadcrumbText(context.structuredData, html)];
+            if (issues.length) schemaIssues.push({ page, issues });
+            if (STRICT && unresolvedHits.length) strictHits.push({ page, hits: unresolvedHits });
             const outputFile = path.join(ROOT, page.outputPath);
             ensureDir(outputFile);
             fs.writeFileSync(outputFile, html);
             console.log(`  ✓ ${page.outputPath}`);
-            built++;
+            // Failed pages stay out of the manifest so the next run retries them
+            nextManifest.pages[page.outputPath] = deps;
+            built.push(page.outputPath);
         } catch (err) {
             console.error(`  ✗ ${page.outputPath} — ${err.message}`);
             errors++;
         }
     }
 
-    console.log(`\nDone! Built ${built} pages.${errors ? ' ' + errors + ' error(s).' : ''}`);
-    if (errors) process.exit(1);
+    reportPlainTextHtml();
+    lintTemplateText(templates, partials);
+    unresolvedHits = null;
+    if (STRICT) errors += reportUnresolved(strictHits);
+    const schemaErrors = reportStructuredData(schemaIssues, built.length);
+    if (STRICT) errors += schemaErrors;
+
+    reportScreenshotFallbacks(pages);
+    const sitemapUrls = writeSitemaps(site, languages, pages);
+    writeAiFiles(site, languages, enPagesByFile, pageAvailability, guideAvailability, llmsTemplate, sitemapUrls);
+
+    for (const deps of Object.values(nextManifest.pages)) {
+        for (const dep of deps) nextManifest.files[dep] = depHash(dep);
+    }
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(nextManifest) + '\n');
+
+    const skippedNote = skipped ? ` ${skipped} unchanged (use --full to rebuild them).` : '';
+    console.log(`\nDone! Built ${built.length} pages.${skippedNote}${errors ? ' ' + errors + ' error(s).' : ''}`);
+    return { built, errors };
+}
+
+// ============================================================
+// Watch Mode & Preview Server
+// ============================================================
+
+const WATCH_DIRS = [DATA_DIR, TEMPLATES_DIR];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Injected into every HTML response from the preview server (never written
+// to disk). Reloads when the page being viewed was part of a rebuild.
+const LIVE_RELOAD_SNIPPET = `<script>
+(function(){
+  var source=new EventSource("/__livereload");
+  source.addEventListener("rebuild",function(e){
+    if(JSON.parse(e.data).indexOf(window.location.pathname)!==-1)window.location.reload();
+  });
+})();
+</script>
+`;
+
+/**
+ * Public URL for an output path: "de/sleep/index.html" → "/de/sleep/".
+ */
+function outputPathToUrl(outputPath) {
+    return '/' + outputPath.replace(/(^|\/)index\.html$/, '$1');
+}
+
+/**
+ * Serve the repo root the way GitHub Pages does (directory → index.html,
+ * missing → 404.html) and push rebuild notifications over server-sent events.
+ * Returns notify(builtOutputPaths).
+ */
+function startServer(port) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(req.url.split('?')[0]);
+        } catch (err) {
+            res.writeHead(400);
+            res.end('Bad Request');
+            return;
+        }
+
+        if (urlPath === '/__livereload') {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        // Dotfiles and dot-directories (.git, .build-manifest.json) aren't part
+        // of the site
+        if (urlPath.split('/').some(segment => segment.startsWith('.'))) {
+            res.writeHead(404);
+            res.end('Not Found');
+            return;
+        }
+
+        let filePath = path.normalize(path.join(ROOT, urlPath));
+        if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+            res.writeHead(403);
+            res.end('Forbidden');
+            return;
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            if (!urlPath.endsWith('/')) {
+                res.writeHead(301, { Location: urlPath + '/' });
+                res.end();
+                return;
+            }
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        let status = 200;
+        if (!fs.existsSync(filePath)) {
+            status = 404;
+            filePath = path.join(ROOT, '404.html');
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        let body = fs.readFileSync(filePath);
+        if (type.startsWith('text/html')) {
+            const html = body.toString('utf8');
+            const bodyEnd = html.lastIndexOf('</body>');
+            body = bodyEnd === -1
+                ? html + LIVE_RELOAD_SNIPPET
+                : html.slice(0, bodyEnd) + LIVE_RELOAD_SNIPPET + html.slice(bodyEnd);
+        }
+        res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+        res.end(body);
+    });
+
+    server.on('error', err => {
+        console.error(err.code === 'EADDRINUSE'
+            ? `ERROR: port ${port} is already in use (pick another with --port=)`
+            : `ERROR: preview server: ${err.message}`);
+        process.exit(1);
+    });
+    // Loopback only: the preview serves the whole repo, so keep it off the LAN
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`\nServing ${ROOT} at http://localhost:${port}/`);
+    });
+
+    return function notify(builtPaths) {
+        if (clients.size === 0 || builtPaths.length === 0) return;
+        const message = `event: rebuild\ndata: ${JSON.stringify(builtPaths.map(outputPathToUrl))}\n\n`;
+        for (const client of clients) client.write(message);
+    };
+}
+
+/**
+ * Watch data/ and templates/ (partials included) and run an incremental
+ * build after each burst of changes. The manifest works out which pages
+ * the change actually affects.
+ */
+function watch(onRebuild) {
+    let timer = null;
+    const schedule = (eventType, fileName) => {
+        if (fileName && /(^|[\\/])\.|~$/.test(fileName)) return; // editor swap/backup files
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            console.log('\n' + '-'.repeat(40) + '\n');
+            // A half-saved data file or guide shouldn't end the session:
+            // report it and wait for the next change
+            let result;
+            try {
+                result = build();
+            } catch (err) {
+                console.error(`ERROR: ${err.message}`);
+                return;
+            }
+            if (onRebuild) onRebuild(result.built);
+        }, 150);
+    };
+    for (const dir of WATCH_DIRS) {
+        fs.watch(dir, { recursive: true }, schedule);
+    }
+    console.log(`\nWatching ${WATCH_DIRS.map(dir => path.relative(ROOT, dir) + '/').join(', ')} for changes…`);
+}
+
+function main() {
+    const { errors } = build({ full: FULL_BUILD });
+    if (!WATCH) {
+        if (errors) process.exit(1);
+        return;
+    }
+    const notify = SERVE ? startServer(PORT) : null;
+    watch(notify);
 }
 
-build();
+main();
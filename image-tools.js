@@ -0,0 +1,381 @@
+/**
+ * image-tools.js — PNG decoding, resizing and encoding in plain Node.
+ *
+ * Shared by build.js (responsive image widths, recompressing oversized
+ * images) and make-favicon.js. Decoded images are
+ * { width, height, channels, pixels }: 8-bit samples in a Buffer, row by
+ * row, RGBA (channels 4) or RGB (channels 3).
+ *
+ *   decodePNG(buf)     every colour type and bit depth, Adam7 → RGBA
+ *   resize(img, w, h)  box-filtered scaling
+ *   encodePNG(img)     smallest lossless colour type, per-row filters
+ *   repackPNG(buf)     the same PNG with its image data re-deflated
+ *
+ * No dependencies — uses only Node.js built-in modules.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// ---------- CRC32 table ----------
+const crcTable = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        t[n] = c;
+    }
+    return t;
+})();
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) c = crcTable[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// ---------- PNG decode ----------
+
+// Samples per pixel for each PNG colour type
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [xStart, yStart, xStep, yStep]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function paethPredictor(left, up, upLeft) {
+    const p = left + up - upLeft;
+    const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+    return (pa <= pb && pa <= pc) ? left : (pb <= pc) ? up : upLeft;
+}
+
+/**
+ * Undo the filters of one image (or Adam7 pass) of rows × rowLen bytes,
+ * starting at offset in the inflated data. bpp is the filter's byte
+ * distance (bytes per pixel, at least 1).
+ */
+function unfilterRows(raw, offset, rows, rowLen, bpp) {
+    const out = Buffer.alloc(rows * rowLen);
+    for (let y = 0; y < rows; y++) {
+        const filter = raw[offset + y * (rowLen + 1)];
+        const rowStart = offset + y * (rowLen + 1) + 1;
+        const outStart = y * rowLen;
+        for (let i = 0; i < rowLen; i++) {
+            const rawByte = raw[rowStart + i];
+            const left  = i >= bpp ? out[outStart + i - bpp] : 0;
+            const up    = y > 0 ? out[outStart - rowLen + i] : 0;
+            const upLt  = (y > 0 && i >= bpp) ? out[outStart - rowLen + i - bpp] : 0;
+            let v;
+            if (filter === 0) v = rawByte;
+            else if (filter === 1) v = (rawByte + left) & 0xff;
+            else if (filter === 2) v = (rawByte + up) & 0xff;
+            else if (filter === 3) v = (rawByte + ((left + up) >> 1)) & 0xff;
+            else if (filter === 4) v = (rawByte + paethPredictor(left, up, upLt)) & 0xff;
+            else throw new Error('unknown filter: ' + filter);
+            out[outStart + i] = v;
+        }
+    }
+    return out;
+}
+
+/**
+ * Decode a PNG of any colour type (greyscale, RGB, palette, with or without
+ * alpha), bit depth (1–16) and interlacing to 8-bit RGBA. tRNS
+ * transparency is applied; 16-bit samples are rounded to 8 bits.
+ */
+function decodePNG(buf) {
+    if (!buf.slice(0, 8).equals(PNG_SIGNATURE)) throw new Error('not a PNG');
+
+    const idatParts = [];
+    let ihdr, palette, trns;
+    let pos = 8;
+    while (pos < buf.length) {
+        const length = buf.readUInt32BE(pos);
+        const type = buf.toString('ascii', pos + 4, pos + 8);
+        const data = buf.slice(pos + 8, pos + 8 + length);
+        if (type === 'IHDR') ihdr = data;
+        if (type === 'PLTE') palette = data;
+        if (type === 'tRNS') trns = data;
+        if (type === 'IDAT') idatParts.push(data);
+        pos += 12 + length;
+        if (type === 'IEND') break;
+    }
+    if (!ihdr) throw new Error('PNG has no IHDR chunk');
+
+    const width = ihdr.readUInt32BE(0);
+    const height = ihdr.readUInt32BE(4);
+    const bitDepth = ihdr.readUInt8(8);
+    const colorType = ihdr.readUInt8(9);
+    const interlaced = ihdr.readUInt8(12) === 1;
+    const samples = PNG_CHANNELS[colorType];
+    if (!samples) throw new Error('unknown PNG colour type: ' + colorType);
+    if (colorType === 3 && !palette) throw new Error('palette PNG has no PLTE chunk');
+
+    const bitsPerPixel = samples * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3);
+    const maxSample = (1 << bitDepth) - 1;
+    const raw = zlib.inflateSync(Buffer.concat(idatParts));
+    const pixels = Buffer.alloc(width * height * 4);
+
+    // Sample n of a row, as its full-precision value
+    const sampleAt = (row, rowStart, n) => {
+        if (bitDepth === 8) return row[rowStart + n];
+        if (bitDepth === 16) return row.readUInt16BE(rowStart + n * 2);
+        const bit = n * bitDepth;
+        return (row[rowStart + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    // Full-precision sample → 8 bits (palette indices are left alone)
+    const to8 = value => bitDepth === 16 ? (value * 255 + 32767) / 65535 | 0 : bitDepth === 8 ? value : Math.round(value * 255 / maxSample);
+    const transparentKey = trns && colorType === 0 ? [trns.readUInt16BE(0)]
+        : trns && colorType === 2 ? [trns.readUInt16BE(0), trns.readUInt16BE(2), trns.readUInt16BE(4)]
+        : null;
+
+    const writePixel = (row, rowStart, x, outIndex) => {
+        const o = outIndex * 4;
+        if (colorType === 3) {
+            const index = sampleAt(row, rowStart, x);
+            pixels[o] = palette[index * 3];
+            pixels[o + 1] = palette[index * 3 + 1];
+            pixels[o + 2] = palette[index * 3 + 2];
+            pixels[o + 3] = trns && index < trns.length ? trns[index] : 255;
+            return;
+        }
+        const values = [];
+        for (let s = 0; s < samples; s++) values.push(sampleAt(row, rowStart, x * samples + s));
+        if (colorType === 0 || colorType === 4) {
+            pixels[o] = pixels[o + 1] = pixels[o + 2] = to8(values[0]);
+            pixels[o + 3] = colorType === 4 ? to8(values[1])
+                : (transparentKey && values[0] === transparentKey[0] ? 0 : 255);
+        } else {
+            pixels[o] = to8(values[0]);
+            pixels[o + 1] = to8(values[1]);
+            pixels[o + 2] = to8(values[2]);
+            pixels[o + 3] = colorType === 6 ? to8(values[3])
+                : (transparentKey && values.every((v, i) => v === transparentKey[i]) ? 0 : 255);
+        }
+    };
+
+    const passes = interlaced ? ADAM7 : [[0, 0, 1, 1]];
+    let offset = 0;
+    for (const [xStart, yStart, xStep, yStep] of passes) {
+        const passWidth = width > xStart ? Math.ceil((width - xStart) / xStep) : 0;
+        const passHeight = height > yStart ? Math.ceil((height - yStart) / yStep) : 0;
+        if (!passWidth || !passHeight) continue;
+        const rowLen = Math.ceil(passWidth * bitsPerPixel / 8);
+        const rows = unfilterRows(raw, offset, passHeight, rowLen, bpp);
+        offset += passHeight * (rowLen + 1);
+        for (let py = 0; py < passHeight; py++) {
+            const y = yStart + py * yStep;
+            for (let px = 0; px < passWidth; px++) {
+                writePixel(rows, py * rowLen, px, y * width + xStart + px * xStep);
+            }
+        }
+    }
+    return { width, height, channels: 4, pixels };
+}
+
+// ---------- box resize ----------
+/**
+ * Scale an image to width × height. Each output pixel is the average of the
+ * source area it covers (weighted at the edges), so large reductions don't
+ * alias the way point or bilinear sampling does.
+ */
+function resize(img, width, height) {
+    const { channels, pixels } = img;
+    const xs = img.width / width, ys = img.height / height;
+    const out = Buffer.alloc(width * height * channels);
+    const sums = new Float64Array(channels);
+    for (let y = 0; y < height; y++) {
+        const sy0 = y * ys, sy1 = Math.min(sy0 + Math.max(ys, 1), img.height);
+        for (let x = 0; x < width; x++) {
+            const sx0 = x * xs, sx1 = Math.min(sx0 + Math.max(xs, 1), img.width);
+            sums.fill(0);
+            let total = 0;
+            for (let sy = Math.floor(sy0); sy < sy1; sy++) {
+                const wy = Math.min(sy + 1, sy1) - Math.max(sy, sy0);
+                for (let sx = Math.floor(sx0); sx < sx1; sx++) {
+                    const w = wy * (Math.min(sx + 1, sx1) - Math.max(sx, sx0));
+                    const i = (sy * img.width + sx) * channels;
+                    for (let c = 0; c < channels; c++) sums[c] += pixels[i + c] * w;
+                    total += w;
+                }
+            }
+            const o = (y * width + x) * channels;
+            for (let c = 0; c < channels; c++) out[o + c] = Math.round(sums[c] / total);
+        }
+    }
+    return { width, height, channels, pixels: out };
+}
+
+// ---------- PNG encode ----------
+
+/**
+ * The smallest lossless PNG form for an image: palette when it has at most
+ * 256 colours (packed below 8 bits when it has few enough), else greyscale
+ * or RGB, with alpha only when some pixel isn't opaque.
+ * Returns { colorType, bitDepth, samples, palette, trns, row(y) → Buffer }.
+ */
+function choosePngFormat(img) {
+    const { width, height, channels, pixels } = img;
+    let opaque = true, grey = true;
+    const colors = new Map(); // RGBA as uint32 → palette index
+    for (let i = 0; i < width * height; i++) {
+        const o = i * channels;
+        const r = pixels[o], g = pixels[o + 1], b = pixels[o + 2];
+        const a = channels === 4 ? pixels[o + 3] : 255;
+        if (a !== 255) opaque = false;
+        if (r !== g || g !== b) grey = false;
+        if (colors.size <= 256) {
+            const key = ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+            if (!colors.has(key)) colors.set(key, colors.size);
+        }
+    }
+
+    if (colors.size <= 256) {
+        // Translucent entries first, so tRNS can stop at the last of them
+        const entries = [...colors.keys()].sort((x, y) => ((x & 255) === 255) - ((y & 255) === 255));
+        entries.forEach((key, index) => colors.set(key, index));
+        const bitDepth = entries.length <= 2 ? 1 : entries.length <= 4 ? 2 : entries.length <= 16 ? 4 : 8;
+        const palette = Buffer.alloc(entries.length * 3);
+        entries.forEach((key, i) => {
+            palette[i * 3] = key >>> 24;
+            palette[i * 3 + 1] = (key >>> 16) & 255;
+            palette[i * 3 + 2] = (key >>> 8) & 255;
+        });
+        const translucent = entries.filter(key => (key & 255) !== 255).length;
+        const trns = translucent ? Buffer.from(entries.slice(0, translucent).map(key => key & 255)) : null;
+        const rowLen = Math.ceil(width * bitDepth / 8);
+        const row = y => {
+            const out = Buffer.alloc(rowLen);
+            for (let x = 0; x < width; x++) {
+                const o = (y * width + x) * channels;
+                const key = ((pixels[o] << 24) | (pixels[o + 1] << 16) | (pixels[o + 2] << 8) |
+                    (channels === 4 ? pixels[o + 3] : 255)) >>> 0;
+                const bit = x * bitDepth;
+                out[bit >> 3] |= colors.get(key) << (8 - bitDepth - (bit & 7));
+            }
+            return out;
+        };
+        return { colorType: 3, bitDepth, samples: 1, palette, trns, row };
+    }
+
+    const keep = grey ? (opaque ? [0] : [0, 3]) : (opaque ? [0, 1, 2] : [0, 1, 2, 3]);
+    const colorType = grey ? (opaque ? 0 : 4) : (opaque ? 2 : 6);
+    const row = y => {
+        const out = Buffer.alloc(width * keep.length);
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * channels;
+            for (let k = 0; k < keep.length; k++) out[x * keep.length + k] = pixels[o + keep[k]];
+        }
+        return out;
+    };
+    return { colorType, bitDepth: 8, samples: keep.length, palette: null, trns: null, row };
+}
+
+/**
+ * Filter one row five ways and keep the one whose bytes, read as signed,
+ * add up smallest: the usual heuristic for what deflate compresses best.
+ */
+function filterRow(row, prev, bpp) {
+    let best = null, bestSum = Infinity;
+    for (let filter = 0; filter <= 4; filter++) {
+        const out = Buffer.alloc(row.length + 1);
+        out[0] = filter;
+        let sum = 0;
+        for (let i = 0; i < row.length; i++) {
+            const left = i >= bpp ? row[i - bpp] : 0;
+            const up = prev ? prev[i] : 0;
+            const upLeft = prev && i >= bpp ? prev[i - bpp] : 0;
+            const predicted = filter === 0 ? 0 : filter === 1 ? left : filter === 2 ? up
+                : filter === 3 ? (left + up) >> 1 : paethPredictor(left, up, upLeft);
+            const v = (row[i] - predicted) & 0xff;
+            out[i + 1] = v;
+            sum += v < 128 ? v : 256 - v;
+        }
+        if (sum < bestSum) {
+            best = out;
+            bestSum = sum;
+        }
+    }
+    return best;
+}
+
+function pngChunk(type, data) {
+    const typeBuf = Buffer.from(type, 'ascii');
+    const len = Buffer.alloc(4); len.writeUInt32BE(data.length, 0);
+    const crcBuf = Buffer.alloc(4);
+    crcBuf.writeUInt32BE(crc32(Buffer.concat([typeBuf, data])), 0);
+    return Buffer.concat([len, typeBuf, data, crcBuf]);
+}
+
+/**
+ * Re-deflate a PNG's image data at the highest level, leaving the filtered
+ * rows, bit depth, colour profile and every other chunk as they are. For
+ * images that encodePNG would lose something from, such as 16-bit masters.
+ */
+function repackPNG(buf) {
+    if (!buf.slice(0, 8).equals(PNG_SIGNATURE)) throw new Error('not a PNG');
+    const before = [];
+    const idatParts = [];
+    const after = [];
+    let pos = 8;
+    while (pos < buf.length) {
+        const length = buf.readUInt32BE(pos);
+        const type = buf.toString('ascii', pos + 4, pos + 8);
+        const whole = buf.slice(pos, pos + 12 + length);
+        if (type === 'IDAT') idatParts.push(buf.slice(pos + 8, pos + 8 + length));
+        else (idatParts.length ? after : before).push(whole);
+        pos += 12 + length;
+        if (type === 'IEND') break;
+    }
+    const idatData = zlib.deflateSync(zlib.inflateSync(Buffer.concat(idatParts)), { level: 9 });
+    return Buffer.concat([PNG_SIGNATURE, ...before, pngChunk('IDAT', idatData), ...after]);
+}
+
+/**
+ * Encode an RGBA or RGB image as a PNG, losslessly, in the smallest colour
+ * type that holds it (see choosePngFormat). Rows get an adaptively chosen
+ * filter, kept only when it deflates smaller than no filtering (it often
+ * doesn't for icons with large transparent areas); palette and sub-byte
+ * images, which filtering doesn't help, get none.
+ */
+function encodePNG(img) {
+    const { width, height } = img;
+    const format = choosePngFormat(img);
+    const adaptive = format.colorType !== 3 && format.bitDepth === 8;
+    const bpp = Math.max(1, (format.samples * format.bitDepth) >> 3);
+
+    const unfiltered = [];
+    const filtered = [];
+    let prev = null;
+    for (let y = 0; y < height; y++) {
+        const row = format.row(y);
+        unfiltered.push(Buffer.concat([Buffer.from([0]), row]));
+        if (adaptive) filtered.push(filterRow(row, prev, bpp));
+        prev = row;
+    }
+    let idatData = zlib.deflateSync(Buffer.concat(unfiltered), { level: 9 });
+    if (adaptive) {
+        const filteredData = zlib.deflateSync(Buffer.concat(filtered), { level: 9 });
+        if (filteredData.length < idatData.length) idatData = filteredData;
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr.writeUInt8(format.bitDepth, 8);
+    ihdr.writeUInt8(format.colorType, 9);
+    ihdr.writeUInt8(0, 10);
+    ihdr.writeUInt8(0, 11);
+    ihdr.writeUInt8(0, 12);
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', ihdr),
+        ...(format.palette ? [pngChunk('PLTE', format.palette)] : []),
+        ...(format.trns ? [pngChunk('tRNS', format.trns)] : []),
+        pngChunk('IDAT', idatData),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+module.exports = { crc32, decodePNG, resize, encodePNG, repackPNG };
@@ -1,116 +1,64 @@
 #!/usr/bin/env node
 /**
- * One-shot: take images/FT_1024.png, resize to 256x256, apply circular
- * mask (with antialiased edge), write as images/feeltracker-icon.png.
+ * Favicon and touch-icon set, generated from images/FT_1024.png:
  *
- * Pure Node built-ins. Run once: `node make-favicon.js`
+ *   images/icons/favicon-{16,32,48}.png       browser tab icons
+ *   favicon.ico                               the same three sizes in one file
+ *   images/icons/apple-touch-icon.png         180×180, opaque corners
+ *   images/icons/icon-{192,512}.png           as drawn, for site.webmanifest
+ *   images/icons/icon-{192,512}-maskable.png  full-bleed, for site.webmanifest
+ *   site.webmanifest
+ *   images/feeltracker-icon.png               256×256 circle (the site logo)
+ *
+ * build.js calls writeIcons() on every build with the inputs hash it got last
+ * time, which regenerates the set only when the content of the source (or
+ * this file, or data/site.json) has changed or an output is missing, and
+ * links it from head-assets.html with iconLinks().
+ *
+ * Pure Node built-ins (PNG code in image-tools.js). Run `node make-favicon.js`
+ * to regenerate everything by hand.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
-const zlib = require('zlib');
-
-// ---------- CRC32 table ----------
-const crcTable = (() => {
-    const t = new Uint32Array(256);
-    for (let n = 0; n < 256; n++) {
-        let c = n;
-        for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
-        t[n] = c;
-    }
-    return t;
-})();
-function crc32(buf) {
-    let c = 0xffffffff;
-    for (let i = 0; i < buf.length; i++) c = crcTable[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
-    return (c ^ 0xffffffff) >>> 0;
-}
-
-// ---------- PNG decode ----------
-function parsePNG(buf) {
-    const sig = '89504e470d0a1a0a';
-    if (buf.slice(0, 8).toString('hex') !== sig) throw new Error('not a PNG');
-
-    const idatParts = [];
-    let ihdr;
-    let pos = 8;
-    while (pos < buf.length) {
-        const length = buf.readUInt32BE(pos);
-        const type = buf.toString('ascii', pos + 4, pos + 8);
-        const data = buf.slice(pos + 8, pos + 8 + length);
-        if (type === 'IHDR') ihdr = data;
-        if (type === 'IDAT') idatParts.push(data);
-        pos += 12 + length;
-        if (type === 'IEND') break;
-    }
-
-    const width = ihdr.readUInt32BE(0);
-    const height = ihdr.readUInt32BE(4);
-    const bitDepth = ihdr.readUInt8(8);
-    const colorType = ihdr.readUInt8(9);
-    if (colorType !== 6) throw new Error('only RGBA input supported (colorType=6)');
-
-    const raw = zlib.inflateSync(Buffer.concat(idatParts));
-    const bpp = 4 * (bitDepth / 8);   // bytes per pixel in decoded stream
-    const scanlineLen = width * bpp;
-    const out = Buffer.alloc(height * scanlineLen);
-
-    for (let y = 0; y < height; y++) {
-        const filter = raw[y * (scanlineLen + 1)];
-        const rowStart = y * (scanlineLen + 1) + 1;
-        const outStart = y * scanlineLen;
-        for (let i = 0; i < scanlineLen; i++) {
-            const rawByte = raw[rowStart + i];
-            const left  = i >= bpp ? out[outStart + i - bpp] : 0;
-            const up    = y > 0 ? out[outStart - scanlineLen + i] : 0;
-            const upLt  = (y > 0 && i >= bpp) ? out[outStart - scanlineLen + i - bpp] : 0;
-            let v;
-            if (filter === 0) v = rawByte;
-            else if (filter === 1) v = (rawByte + left) & 0xff;
-            else if (filter === 2) v = (rawByte + up) & 0xff;
-            else if (filter === 3) v = (rawByte + ((left + up) >> 1)) & 0xff;
-            else if (filter === 4) {
-                const p = left + up - upLt;
-                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLt);
-                const paeth = (pa <= pb && pa <= pc) ? left : (pb <= pc) ? up : upLt;
-                v = (rawByte + paeth) & 0xff;
-            } else throw new Error('unknown filter: ' + filter);
-            out[outStart + i] = v;
-        }
-    }
-
-    // Convert 16-bit → 8-bit (just take high byte — standard PNG downsample)
-    let px = out;
-    if (bitDepth === 16) {
-        px = Buffer.alloc(width * height * 4);
-        for (let i = 0; i < width * height * 4; i++) px[i] = out[i * 2];
-    }
-    return { width, height, channels: 4, pixels: px };
-}
+const path = require('path');
+const { decodePNG, resize, encodePNG } = require('./image-tools');
 
-// ---------- bilinear resize ----------
-function resize(img, target) {
+const ROOT = __dirname;
+const SRC = 'images/FT_1024.png';
+const ICO_FILE = 'favicon.ico';
+const MANIFEST_FILE = 'site.webmanifest';
+// Matches --color-primary in shared.css
+const THEME_COLOR = '#2B7BD3';
+// Share of the source cropped from each side of the maskable icons
+const MASKABLE_INSET = 0.07;
+
+// kind: favicon / app (as drawn), touch / maskable (opaque, full-bleed),
+// logo (circle). The manifest lists app icons as purpose "any", since
+// browsers that don't mask would show the maskable ones cropped.
+const ICONS = [
+    { file: 'images/icons/favicon-16.png', size: 16, kind: 'favicon' },
+    { file: 'images/icons/favicon-32.png', size: 32, kind: 'favicon' },
+    { file: 'images/icons/favicon-48.png', size: 48, kind: 'favicon' },
+    { file: 'images/icons/apple-touch-icon.png', size: 180, kind: 'touch' },
+    { file: 'images/icons/icon-192.png', size: 192, kind: 'app' },
+    { file: 'images/icons/icon-512.png', size: 512, kind: 'app' },
+    { file: 'images/icons/icon-192-maskable.png', size: 192, kind: 'maskable' },
+    { file: 'images/icons/icon-512-maskable.png', size: 512, kind: 'maskable' },
+    { file: 'images/feeltracker-icon.png', size: 256, kind: 'logo' }
+];
+
+// ---------- RGBA ----------
+/**
+ * Add an opaque alpha channel to an RGB image (image-tools handles either),
+ * so the passes below can take alpha as the fourth sample.
+ */
+function toRGBA(img) {
     const { width, height, channels, pixels } = img;
-    const out = Buffer.alloc(target * target * channels);
-    const xs = width / target, ys = height / target;
-    for (let y = 0; y < target; y++) {
-        for (let x = 0; x < target; x++) {
-            const sx = x * xs, sy = y * ys;
-            const x0 = Math.floor(sx), y0 = Math.floor(sy);
-            const x1 = Math.min(x0 + 1, width - 1);
-            const y1 = Math.min(y0 + 1, height - 1);
-            const dx = sx - x0, dy = sy - y0;
-            for (let c = 0; c < channels; c++) {
-                const p00 = pixels[(y0 * width + x0) * channels + c];
-                const p10 = pixels[(y0 * width + x1) * channels + c];
-                const p01 = pixels[(y1 * width + x0) * channels + c];
-                const p11 = pixels[(y1 * width + x1) * channels + c];
-                const v = p00 * (1-dx) * (1-dy) + p10 * dx * (1-dy)
-                        + p01 * (1-dx) * dy      + p11 * dx * dy;
-                out[(y * target + x) * channels + c] = Math.round(v);
-            }
-        }
-    }
-    return { width: target, height: target, channels, pixels: out };
+    if (channels === 4) return img;
+    const out = Buffer.alloc(width * height * 4, 255);
+    for (let i = 0; i < width * height; i++) pixels.copy(out, i * 4, i * channels, i * channels + 3);
+    return { width, height, channels: 4, pixels: out };
 }
 
 // ---------- circular mask with antialiased edge ----------
@@ -134,51 +82,160 @@ function circularMask(img) {
     return { width, height, channels, pixels: out };
 }
 
-// ---------- PNG encode (filter type 0 = None) ----------
-function encodePNG(img) {
+// ---------- full bleed ----------
+/**
+ * Fill the transparent rounded corners of the source icon with its own
+ * background, so the icon is an opaque square that iOS and Android can mask
+ * to any shape. The background is a vertical gradient, so each row's corners
+ * take the colour of that row's centre pixel.
+ */
+function fullBleed(img) {
     const { width, height, channels, pixels } = img;
-    const colorType = channels === 4 ? 6 : 2;
-
-    const filtered = Buffer.alloc(height * (width * channels + 1));
+    const out = Buffer.from(pixels);
     for (let y = 0; y < height; y++) {
-        filtered[y * (width * channels + 1)] = 0;
-        pixels.copy(filtered, y * (width * channels + 1) + 1,
-                    y * width * channels, (y + 1) * width * channels);
+        const mid = (y * width + (width >> 1)) * channels;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * channels;
+            const alpha = pixels[o + 3] / 255;
+            for (let c = 0; c < 3; c++) {
+                out[o + c] = Math.round(pixels[o + c] * alpha + pixels[mid + c] * (1 - alpha));
+            }
+            out[o + 3] = 255;
+        }
     }
-    const idatData = zlib.deflateSync(filtered, { level: 9 });
-
-    function chunk(type, data) {
-        const typeBuf = Buffer.from(type, 'ascii');
-        const len = Buffer.alloc(4); len.writeUInt32BE(data.length, 0);
-        const crcBuf = Buffer.alloc(4);
-        crcBuf.writeUInt32BE(crc32(Buffer.concat([typeBuf, data])), 0);
-        return Buffer.concat([len, typeBuf, data, crcBuf]);
+    return { width, height, channels, pixels: out };
+}
+
+/**
+ * Cut the central square of an image, leaving out inset of its width on
+ * every side. Maskable icons lose the source's bevelled edge this way, while
+ * the smile stays inside the safe zone (the central 80% circle).
+ */
+function cropCentre(img, inset) {
+    const { width, height, channels, pixels } = img;
+    const margin = Math.round(width * inset);
+    const size = width - margin * 2;
+    const out = Buffer.alloc(size * size * channels);
+    for (let y = 0; y < size; y++) {
+        const start = ((y + margin) * width + margin) * channels;
+        pixels.copy(out, y * size * channels, start, start + size * channels);
     }
+    return { width: size, height: size, channels, pixels: out };
+}
 
-    const ihdr = Buffer.alloc(13);
-    ihdr.writeUInt32BE(width, 0);
-    ihdr.writeUInt32BE(height, 4);
-    ihdr.writeUInt8(8, 8);
-    ihdr.writeUInt8(colorType, 9);
-    ihdr.writeUInt8(0, 10);
-    ihdr.writeUInt8(0, 11);
-    ihdr.writeUInt8(0, 12);
-
-    const sig = Buffer.from([0x89,0x50,0x4e,0x47,0x0d,0x0a,0x1a,0x0a]);
-    return Buffer.concat([sig, chunk('IHDR', ihdr), chunk('IDAT', idatData), chunk('IEND', Buffer.alloc(0))]);
+// ---------- ICO ----------
+/**
+ * Pack PNGs into an .ico file: a directory entry per size, each pointing at
+ * the PNG as it is (supported by every browser that reads .ico).
+ */
+function encodeICO(images) {
+    const header = Buffer.alloc(6);
+    header.writeUInt16LE(0, 0);
+    header.writeUInt16LE(1, 2); // type 1 = icon
+    header.writeUInt16LE(images.length, 4);
+    let offset = 6 + images.length * 16;
+    const entries = images.map(({ size, png }) => {
+        const entry = Buffer.alloc(16);
+        entry.writeUInt8(size >= 256 ? 0 : size, 0);
+        entry.writeUInt8(size >= 256 ? 0 : size, 1);
+        entry.writeUInt16LE(1, 4);  // colour planes
+        entry.writeUInt16LE(32, 6); // bits per pixel
+        entry.writeUInt32LE(png.length, 8);
+        entry.writeUInt32LE(offset, 12);
+        offset += png.length;
+        return entry;
+    });
+    return Buffer.concat([header, ...entries, ...images.map(image => image.png)]);
 }
 
+// ---------- web app manifest ----------
+function webManifest() {
+    const site = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'site.json'), 'utf8'));
+    return {
+        name: site.name,
+        short_name: site.name,
+        start_url: '/',
+        display: 'browser',
+        theme_color: THEME_COLOR,
+        background_color: '#ffffff',
+        icons: ICONS.filter(icon => icon.kind === 'app' || icon.kind === 'maskable').map(icon => ({
+            src: '/' + icon.file,
+            sizes: `${icon.size}x${icon.size}`,
+            type: 'image/png',
+            purpose: icon.kind === 'app' ? 'any' : 'maskable'
+        }))
+    };
+}
+
+// ---------- generate ----------
+function outputFiles() {
+    return [...ICONS.map(icon => icon.file), ICO_FILE, MANIFEST_FILE];
+}
+
+// Content hash of everything the set is generated from
+function inputsHash() {
+    const hash = crypto.createHash('sha1');
+    for (const relPath of [SRC, 'make-favicon.js', 'data/site.json']) {
+        const file = path.join(ROOT, relPath);
+        hash.update(relPath + '\0').update(fs.existsSync(file) ? fs.readFileSync(file) : '');
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Write the whole icon set, unless madeFrom (the inputsHash the existing set
+ * was written from) still matches and every output exists; without it the
+ * set is always written. Returns { written, hash }: the number of files
+ * written and the hash to pass next time.
+ */
+function writeIcons(madeFrom) {
+    const hash = inputsHash();
+    if (madeFrom === hash && outputFiles().every(file => fs.existsSync(path.join(ROOT, file)))) {
+        return { written: 0, hash };
+    }
+
+    const src = toRGBA(decodePNG(fs.readFileSync(path.join(ROOT, SRC))));
+    const opaque = fullBleed(src);
+    const bases = { favicon: src, app: src, logo: src, touch: opaque, maskable: cropCentre(opaque, MASKABLE_INSET) };
+    const pngs = {};
+    for (const icon of ICONS) {
+        const base = bases[icon.kind];
+        let image = resize(base, icon.size, icon.size);
+        if (icon.kind === 'logo') image = circularMask(image);
+        pngs[icon.file] = encodePNG(image);
+        const outFile = path.join(ROOT, icon.file);
+        fs.mkdirSync(path.dirname(outFile), { recursive: true });
+        fs.writeFileSync(outFile, pngs[icon.file]);
+    }
+    const ico = encodeICO(ICONS.filter(icon => icon.kind === 'favicon').map(icon => ({ size: icon.size, png: pngs[icon.file] })));
+    fs.writeFileSync(path.join(ROOT, ICO_FILE), ico);
+    fs.writeFileSync(path.join(ROOT, MANIFEST_FILE), JSON.stringify(webManifest(), null, 2) + '\n');
+    return { written: outputFiles().length, hash };
+}
+
+/**
+ * The <link> tags for the set, as { rel, type, sizes, href }, leaving out
+ * files that haven't been generated.
+ */
+function iconLinks() {
+    const exists = relPath => fs.existsSync(path.join(ROOT, relPath));
+    const links = [];
+    if (exists(ICO_FILE)) links.push({ rel: 'icon', sizes: 'any', href: '/' + ICO_FILE });
+    for (const icon of ICONS) {
+        if (!exists(icon.file)) continue;
+        const sizes = `${icon.size}x${icon.size}`;
+        if (icon.kind === 'favicon') links.push({ rel: 'icon', type: 'image/png', sizes, href: '/' + icon.file });
+        if (icon.kind === 'touch') links.push({ rel: 'apple-touch-icon', sizes, href: '/' + icon.file });
+    }
+    if (exists(MANIFEST_FILE)) links.push({ rel: 'manifest', href: '/' + MANIFEST_FILE });
+    return links;
+}
+
+module.exports = { ICONS, writeIcons, iconLinks, encodeICO };
+
 // ---------- run ----------
-const SRC = 'images/FT_1024.png';
-const DST = 'images/feeltracker-icon.png';
-const TARGET = 256;
-
-const src = parsePNG(fs.readFileSync(SRC));
-console.log(`Read ${SRC}: ${src.width}x${src.height}`);
-const resized = resize(src, TARGET);
-console.log(`Resized to ${TARGET}x${TARGET}`);
-const masked = circularMask(resized);
-console.log('Applied circular mask');
-const out = encodePNG(masked);
-fs.writeFileSync(DST, out);
-console.log(`Wrote ${DST} (${out.length} bytes)`);
+if (require.main === module) {
+    const { written } = writeIcons();
+    console.log(`Wrote ${written} files from ${SRC}:`);
+    for (const file of outputFiles()) console.log(`  ${file} (${fs.statSync(path.join(ROOT, file)).size} bytes)`);
+}
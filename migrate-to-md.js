@@ -6,6 +6,12 @@
  * Skips: structuredDataHtml, bodyContent, christmasHtml, customCss, santaScript, etc.
  *
  * Run: node migrate-to-md.js
+ *
+ * Guides: node migrate-to-md.js --guides [name ...]
+ *   Rewrites data/en/{name}.guide.json as data/en/guides/{name}.md — page
+ *   fields and data in front matter, hero.lead and sections[] as the markdown
+ *   body — and removes the JSON file. Without names, converts every guide.
+ *   Translation overlays (data/{lang}/{name}.guide.json) are left as they are.
  */
 
 const fs = require('fs');
@@ -129,4 +135,207 @@ function migrate() {
     console.log('\nMigration complete. Now update templates to use {{md field}} for markdown fields.');
 }
 
-migrate();
+// ============================================================
+// Guides → markdown with front matter
+// ============================================================
+
+const EN_DIR = path.join(DATA_DIR, 'en');
+const GUIDES_DIR = path.join(EN_DIR, 'guides');
+
+// Page fields written to front matter, in this order, ahead of the data fields
+const GUIDE_PAGE_FIELDS = ['template', 'slug', 'path', 'appSlug', 'fallbackPath', 'appId'];
+
+/**
+ * Convert inline guide HTML to markdown. <strong>, <em>, <a href> and <br>
+ * become markdown; other tags (<span class="bp-chip">, <s>) pass through as
+ * inline HTML, which the markdown renderer keeps verbatim.
+ */
+function inlineToMarkdown(html) {
+    const links = [];
+    const md = html.split(/(<[^>]+>)/).map(part => {
+        if (!part.startsWith('<')) {
+            return part.replace(/[\\`*_[\]|]|~~/g, ch => '\\' + ch);
+        }
+        if (/^<\/?strong>$/.test(part)) return '**';
+        if (/^<\/?em>$/.test(part)) return '*';
+        if (/^<br\s*\/?>$/.test(part)) return '\\\n';
+        const open = part.match(/^<a\s+href="([^"]*)"[^>]*>$/);
+        if (open) {
+            links.push(open[1]);
+            return '[';
+        }
+        if (part === '</a>' && links.length) return `](${links.pop().replace(/[()\s]/g, encodeURIComponent)})`;
+        return part;
+    }).join('');
+    // A paragraph must not open with something that reads as a block marker
+    return md.replace(/^(#|>|[-+] )/, '\\$1').replace(/^(\d+)([.)] )/, '$1\\$2');
+}
+
+function listToMarkdown(tag, inner) {
+    const items = inner.match(/<li>[\s\S]*?<\/li>/g) || [];
+    if (items.join('') !== inner || items.some(item => /<(?:ul|ol|p)[\s>]/.test(item))) return null;
+    return items.map((item, i) =>
+        (tag === 'ol' ? `${i + 1}. ` : '- ') + inlineToMarkdown(item.slice(4, -5))).join('\n');
+}
+
+function tableToMarkdown(html) {
+    const match = html.match(/^<div class="guide-table-wrap"><table class="guide-table"><thead>(<tr>[\s\S]*?<\/tr>)<\/thead><tbody>([\s\S]*?)<\/tbody><\/table><\/div>$/);
+    if (!match) return null;
+    const cells = (row, tag) => {
+        const found = row.match(new RegExp(`<${tag}>[\\s\\S]*?</${tag}>`, 'g')) || [];
+        if (`<tr>${found.join('')}</tr>` !== row) return null;
+        return found.map(cell => inlineToMarkdown(cell.slice(tag.length + 2, -(tag.length + 3))));
+    };
+    const head = cells(match[1], 'th');
+    const rows = (match[2].match(/<tr>[\s\S]*?<\/tr>/g) || []).map(row => cells(row, 'td'));
+    if (!head || rows.some(row => !row || row.length !== head.length)) return null;
+    return markdownTable(head, rows);
+}
+
+function markdownTable(head, rows) {
+    const line = row => '| ' + row.join(' | ') + ' |';
+    return [line(head), line(head.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+/**
+ * A section block (see guide-page.html) as markdown: { html } like the
+ * section's own html, { table } as a pipe table. Headers are plain text,
+ * cells inline HTML. Callouts have no markdown form, so they give null.
+ */
+function sectionBlockToMarkdown(block) {
+    if (block.table) {
+        const { caption, headers = [], rows = [] } = block.table;
+        if (caption || rows.some(row => row.length !== headers.length)) return null;
+        const escape = text => inlineToMarkdown(String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+        return markdownTable(headers.map(escape), rows.map(row => row.map(cell => inlineToMarkdown(String(cell)))));
+    }
+    if (typeof block.html === 'string') return blocksToMarkdown(block.html);
+    return null;
+}
+
+/**
+ * Convert a guide's section/lead HTML to markdown block by block. Anything
+ * that doesn't map cleanly (nested lists, tables outside the guide-table
+ * wrapper) is kept as a raw HTML block.
+ */
+function blocksToMarkdown(html) {
+    const blocks = html.trim().match(/<(p|h[2-6]|ul|ol)>[\s\S]*?<\/\1>|<div[\s\S]*?<\/div>|<[^>]+>[^<]*|[^<]+/g) || [];
+    return blocks.map(block => {
+        const tag = (block.match(/^<([a-z0-9]+)/) || [])[1];
+        const inner = block.replace(/^<[^>]+>/, '').replace(/<\/[a-z0-9]+>$/, '');
+        if (tag === 'p') return inlineToMarkdown(inner);
+        if (/^h[2-6]$/.test(tag)) return '#'.repeat(Number(tag[1])) + ' ' + inlineToMarkdown(inner);
+        if (tag === 'ul' || tag === 'ol') return listToMarkdown(tag, inner) || block;
+        if (tag === 'div') return tableToMarkdown(block) || block;
+        return block;
+    }).filter(block => block.trim()).join('\n\n');
+}
+
+const PLAIN_SCALAR_RE = /^[^\s"'#|>\-\[\]{}&*!%@`?,:][^\n]*$/;
+
+function frontMatterScalar(value) {
+    if (typeof value !== 'string') return JSON.stringify(value);
+    if (PLAIN_SCALAR_RE.test(value) && !/:\s|\s#|\s$/.test(value) &&
+        !/^(?:true|false|null|~|-?\d+(?:\.\d+)?)$/.test(value)) {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Serialise a value as front matter: the YAML subset build.js reads.
+ * Multi-line strings become "|" blocks.
+ */
+function toFrontMatter(value, indent) {
+    const pad = ' '.repeat(indent);
+    const lines = [];
+    for (const [key, item] of Object.entries(value)) {
+        if (typeof item === 'string' && item.includes('\n') && !/^\s|\s$|[ \t]\n/.test(item)) {
+            lines.push(`${pad}${key}: |`, ...item.split('\n').map(line => line ? `${pad}  ${line}` : ''));
+        } else if (Array.isArray(item)) {
+            if (!item.length) {
+                lines.push(`${pad}${key}: []`);
+                continue;
+            }
+            lines.push(`${pad}${key}:`);
+            for (const entry of item) {
+                if (entry && typeof entry === 'object' && !Array.isArray(entry) && Object.keys(entry).length) {
+                    const nested = toFrontMatter(entry, indent + 4);
+                    lines.push(`${pad}  - ${nested.slice(indent + 4)}`);
+                } else {
+                    lines.push(`${pad}  - ${frontMatterScalar(entry)}`);
+                }
+            }
+        } else if (item && typeof item === 'object') {
+            lines.push(Object.keys(item).length ? `${pad}${key}:\n${toFrontMatter(item, indent + 2)}` : `${pad}${key}: {}`);
+        } else {
+            lines.push(`${pad}${key}: ${frontMatterScalar(item)}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+function guideToMarkdown(page) {
+    const attrs = {};
+    for (const field of GUIDE_PAGE_FIELDS) {
+        if (page[field] !== undefined) attrs[field] = page[field];
+    }
+    const { hero = {}, sections = [], ...data } = page.data;
+    const { lead, ...heroRest } = hero;
+    // Keep hero where it was in the data, minus the lead the body now carries
+    for (const [key, value] of Object.entries(page.data)) {
+        if (key === 'sections') continue;
+        attrs[key] = key === 'hero' ? heroRest : data[key];
+    }
+
+    const body = [];
+    if (lead) body.push(blocksToMarkdown(lead));
+    for (const section of sections) {
+        body.push(`## ${section.heading}`);
+        if (section.html) body.push(blocksToMarkdown(section.html));
+        for (const block of section.blocks || []) {
+            const md = sectionBlockToMarkdown(block);
+            if (md === null) return null;
+            body.push(md);
+        }
+    }
+    return `---\n${toFrontMatter(attrs, 0)}\n---\n\n${body.filter(Boolean).join('\n\n')}\n`;
+}
+
+function migrateGuides(names) {
+    console.log('Converting guides to data/en/guides/*.md\n');
+    const files = names.length
+        ? names.map(name => `${name.replace(/\.guide\.json$/, '')}.guide.json`)
+        : fs.readdirSync(EN_DIR).filter(f => f.endsWith('.guide.json')).sort();
+
+    fs.mkdirSync(GUIDES_DIR, { recursive: true });
+    for (const file of files) {
+        const source = path.join(EN_DIR, file);
+        if (!fs.existsSync(source)) {
+            console.warn(`  Skipping ${file}: not found in data/en/`);
+            continue;
+        }
+        const page = JSON.parse(fs.readFileSync(source, 'utf8'));
+        if (page.lang !== 'en' || page.outputPath !== `${page.path}/index.html` || page.enOnly !== true) {
+            console.warn(`  Skipping ${file}: lang, outputPath or enOnly differ from the markdown guide defaults`);
+            continue;
+        }
+        const markdown = guideToMarkdown(page);
+        if (markdown === null) {
+            console.warn(`  Skipping ${file}: it has a callout or captioned table, which markdown can't express`);
+            continue;
+        }
+        const target = path.join(GUIDES_DIR, file.replace(/\.guide\.json$/, '.md'));
+        fs.writeFileSync(target, markdown);
+        fs.unlinkSync(source);
+        console.log(`  ${file} → ${path.relative(__dirname, target)}`);
+    }
+
+    console.log('\nDone. Rebuild with: node build.js');
+}
+
+if (process.argv[2] === '--guides') {
+    migrateGuides(process.argv.slice(3));
+} else {
+    migrate();
+}